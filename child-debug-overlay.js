@@ -0,0 +1,294 @@
+/**
+ * Child Debug Overlay
+ *
+ * 子ページ内に、高さの同期の状態とメッセージの履歴を表示するオーバーレイです。
+ * iframe内の devtools を開かなくても、埋め込みが正しく動いているかを確認できます。
+ *
+ * 表示する内容:
+ * - 送信・受信したすべての postMessage（時刻付き、検証に失敗した受信メッセージも含む）
+ * - 各測定のきっかけ（initial, resize-observer, mutation, resize, load, interval, transition など）
+ * - 高さが同じためにスキップした測定の回数（きっかけごと）
+ * - きっかけの発生から送信までの時間
+ * - 履歴をJSONとしてコピーするボタン
+ *
+ * 有効にする方法（どちらか一方）:
+ * - 子ページのURLに ?debug=1 を付けて開く
+ * - ChildDebugOverlay.show() を呼ぶ
+ *
+ * child-height-sync.js の後に読み込んでください。
+ *   <script src="child-debug-overlay.js"></script>
+ */
+(function () {
+    // 保持する履歴の最大件数（古いものから破棄）
+    const MAX_RECORDS = 500;
+
+    const records = [];
+    const stats = {
+        outgoing: 0,
+        incoming: 0,
+        rejected: 0,
+        measurements: 0,
+        skippedByTrigger: {}
+    };
+
+    let removeMonitor = null;
+    let panel = null;
+    let summaryView = null;
+    let listView = null;
+    let renderRequest = null;
+
+    /**
+     * handleRecord(record)
+     *
+     * ChildHeightSync から通知された記録を履歴と集計に追加し、表示の更新を予約します。
+     */
+    function handleRecord(record) {
+        records.push(record);
+        if (records.length > MAX_RECORDS) {
+            records.shift();
+        }
+
+        if (record.kind === 'outgoing') {
+            stats.outgoing++;
+        } else if (record.kind === 'incoming') {
+            stats.incoming++;
+            if (!record.accepted) {
+                stats.rejected++;
+            }
+        } else if (record.kind === 'measure') {
+            stats.measurements++;
+            if (record.skipped) {
+                stats.skippedByTrigger[record.trigger] = (stats.skippedByTrigger[record.trigger] || 0) + 1;
+            }
+        }
+        scheduleRender();
+    }
+
+    // 記録は transition 中などに連続して届くため、表示の更新は1フレームに1回にまとめる
+    function scheduleRender() {
+        if (!panel || renderRequest !== null) {
+            return;
+        }
+        renderRequest = requestAnimationFrame(function () {
+            renderRequest = null;
+            render();
+        });
+    }
+
+    function formatTime(time) {
+        return (time / 1000).toFixed(3) + 's';
+    }
+
+    /**
+     * describeRecord(record)
+     *
+     * 1件の記録を、一覧に表示する1行のテキストに変換します。
+     */
+    function describeRecord(record) {
+        const time = formatTime(record.time);
+        if (record.kind === 'outgoing') {
+            return `${time} → ${record.message.type} ${JSON.stringify(record.message.payload)}`;
+        }
+        if (record.kind === 'incoming') {
+            const status = record.accepted ? '' : ' [rejected]';
+            return `${time} ← ${record.message.type}${status} from ${record.origin} ${JSON.stringify(record.message.payload)}`;
+        }
+        if (record.skipped) {
+            return `${time} ○ ${record.trigger}: ${record.height}px unchanged, skipped`;
+        }
+        const latency = typeof record.latency === 'number' ? `, ${record.latency.toFixed(1)}ms to send` : '';
+        const sent = record.sent ? '' : ' (not sent)';
+        return `${time} ● ${record.trigger}: ${record.height}x${record.width}px${sent}${latency}`;
+    }
+
+    function render() {
+        const size = ChildHeightSync.getLastSize();
+        const skipped = Object.keys(stats.skippedByTrigger).map(function (trigger) {
+            return `${trigger}: ${stats.skippedByTrigger[trigger]}`;
+        }).join(', ') || 'none';
+
+        summaryView.textContent =
+            `strategy: ${ChildHeightSync.getStrategy() || 'stopped'} | size: ${size.height}x${size.width}px\n` +
+            `out: ${stats.outgoing} | in: ${stats.incoming} (rejected: ${stats.rejected}) | ` +
+            `measurements: ${stats.measurements}\n` +
+            `skipped duplicates: ${skipped}`;
+
+        // 新しいものを上に表示する
+        listView.textContent = records.slice().reverse().map(describeRecord).join('\n');
+    }
+
+    /**
+     * exportHistory()
+     *
+     * @returns {string} 履歴と集計のJSON
+     */
+    function exportHistory() {
+        return JSON.stringify({
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            exportedAt: new Date().toISOString(),
+            strategy: ChildHeightSync.getStrategy(),
+            lastSize: ChildHeightSync.getLastSize(),
+            stats: stats,
+            records: records
+        }, null, 2);
+    }
+
+    /**
+     * copyHistory(button)
+     *
+     * 履歴のJSONをクリップボードにコピーします。
+     * iframe内では Clipboard API が許可されていない場合があるため、
+     * 失敗した場合は textarea を使った execCommand('copy') で再試行します。
+     */
+    function copyHistory(button) {
+        const json = exportHistory();
+        const done = function (ok) {
+            button.textContent = ok ? 'Copied!' : 'Copy failed';
+            setTimeout(function () {
+                button.textContent = 'Copy JSON';
+            }, 1500);
+        };
+        const fallback = function () {
+            const textarea = document.createElement('textarea');
+            textarea.value = json;
+            textarea.style.cssText = 'position:fixed;top:0;left:0;opacity:0;';
+            panel.appendChild(textarea);
+            textarea.select();
+            let ok = false;
+            try {
+                ok = document.execCommand('copy');
+            } catch (e) {
+                ok = false;
+            }
+            panel.removeChild(textarea);
+            done(ok);
+        };
+
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(json).then(function () {
+                done(true);
+            }, fallback);
+        } else {
+            fallback();
+        }
+    }
+
+    function createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.style.cssText = 'margin-left:6px;padding:2px 8px;font:inherit;cursor:pointer;';
+        button.addEventListener('click', function () {
+            onClick(button);
+        });
+        return button;
+    }
+
+    /**
+     * createPanel()
+     *
+     * オーバーレイの要素を作成します。
+     *
+     * 注意: <body> ではなく <html> の直下に追加し、position: fixed にしている。
+     * これにより、オーバーレイ自身が高さの測定（body の測定・MutationObserver）に影響しない。
+     */
+    function createPanel() {
+        panel = document.createElement('div');
+        panel.setAttribute('role', 'log');
+        panel.setAttribute('aria-label', 'Height sync debug overlay');
+        panel.style.cssText = [
+            'position:fixed', 'right:8px', 'bottom:8px', 'z-index:2147483647',
+            'width:min(480px, calc(100vw - 16px))', 'max-height:50vh',
+            'display:flex', 'flex-direction:column',
+            'background:rgba(20, 20, 30, 0.92)', 'color:#e0e0e0',
+            'font:12px/1.4 monospace', 'border-radius:6px',
+            'box-shadow:0 4px 16px rgba(0, 0, 0, 0.4)'
+        ].join(';');
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display:flex;align-items:center;padding:6px 8px;border-bottom:1px solid #444;';
+        const title = document.createElement('strong');
+        title.textContent = 'Height sync debug';
+        title.style.flex = '1';
+        header.appendChild(title);
+        header.appendChild(createButton('Copy JSON', copyHistory));
+        header.appendChild(createButton('Clear', function () {
+            clear();
+        }));
+        header.appendChild(createButton('Hide', function () {
+            hide();
+        }));
+
+        summaryView = document.createElement('pre');
+        summaryView.style.cssText = 'margin:0;padding:6px 8px;white-space:pre-wrap;border-bottom:1px solid #444;';
+
+        listView = document.createElement('pre');
+        listView.style.cssText = 'margin:0;padding:6px 8px;overflow:auto;flex:1;white-space:pre;';
+
+        panel.appendChild(header);
+        panel.appendChild(summaryView);
+        panel.appendChild(listView);
+    }
+
+    /**
+     * show()
+     *
+     * オーバーレイを表示し、記録の収集を開始します。
+     */
+    function show() {
+        if (!removeMonitor) {
+            removeMonitor = ChildHeightSync.addMonitor(handleRecord);
+        }
+        if (!panel) {
+            createPanel();
+        }
+        if (!panel.isConnected) {
+            document.documentElement.appendChild(panel);
+        }
+        render();
+    }
+
+    /**
+     * hide()
+     *
+     * オーバーレイを非表示にします（記録の収集は続けます）。
+     */
+    function hide() {
+        if (panel && panel.isConnected) {
+            panel.remove();
+        }
+    }
+
+    /**
+     * clear()
+     *
+     * 履歴と集計を消去します。
+     */
+    function clear() {
+        records.length = 0;
+        stats.outgoing = 0;
+        stats.incoming = 0;
+        stats.rejected = 0;
+        stats.measurements = 0;
+        stats.skippedByTrigger = {};
+        scheduleRender();
+    }
+
+    window.ChildDebugOverlay = {
+        show: show,
+        hide: hide,
+        clear: clear,
+        exportHistory: exportHistory
+    };
+
+    // ?debug=1 の場合は自動的に表示する（初回の測定やハンドシェイクも記録するため、読み込み時に監視を開始）
+    if (new URLSearchParams(window.location.search).get('debug') === '1') {
+        removeMonitor = ChildHeightSync.addMonitor(handleRecord);
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', show);
+        } else {
+            show();
+        }
+    }
+})();
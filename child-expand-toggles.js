@@ -0,0 +1,525 @@
+/**
+ * Child Expand Toggles
+ *
+ * data-expand-toggle 属性で、任意の数のトグルボタンと展開/折りたたみするパネルを結び付けます。
+ * 展開状態は ChildHeightSync.setState() で height-change に含めて親ページに通知されます。
+ *   state: { openSections: ['details'] }
+ * primarySection を指定した場合は、そのパネルの展開状態を expanded としても通知します
+ * （単一のトグルだった頃の state.expanded を読む親ページとの互換性のため）。
+ *   state: { expanded: true, openSections: ['details'] }
+ *
+ * マークアップ:
+ *   <button type="button" data-expand-toggle="details"
+ *       data-expand-label="Show details" data-collapse-label="Hide details">Show details</button>
+ *   <div id="details" class="expandable-content" data-height-transition>...</div>
+ *
+ * - data-expand-toggle:   制御するパネルのID
+ * - data-expand-label:    折りたたまれているときのボタンのテキスト（省略時は変更しない）
+ * - data-collapse-label:  展開されているときのボタンのテキスト（省略時は変更しない）
+ * - パネルに expanded クラスが付いている場合は、展開された状態で始まる
+ * - data-expand-accordion を付けた要素の中のパネルは、1つを開くと他が閉じる（アコーディオン）
+ *
+ * アクセシビリティ:
+ * - トグルには aria-controls と aria-expanded を設定する
+ * - 折りたたまれたパネルは inert にして、キーボードや支援技術から隠す
+ * - パネル内にフォーカスがある状態で折りたたむと、フォーカスをトグルに戻す
+ *
+ * URLでの状態の保存・復元（ディープリンク）:
+ * - 展開されているパネルのIDは、子ページのURLのクエリ文字列（?open=id1,id2）に保存される
+ *   （history.replaceState を使うため履歴は増えない。urlMode: 'hash' の場合は #open=id1,id2。
+ *   ページ内リンクのアンカーと併用する場合は #faq&open=id1,id2 のように & で区切る）
+ * - init() 時にURL（クエリ文字列またはハッシュ）に open がある場合は、その状態をアニメーションなしで復元する
+ *   親ページは iframe の src（index.html?open=faq-height）で初期状態を指定できる
+ * - setOpenSections(ids, { animate: false }) でも、アニメーションなしで状態を設定できる
+ *   （親ページからの init / set-state の state.openSections を渡す）
+ *
+ * 高さの通知:
+ * - transition 中の途中経過は ChildHeightSync が送信する（パネルに data-height-transition を付ける）
+ * - 切り替えた（アコーディオンで同時に閉じたものを含む）すべてのパネルの transition が終わったら、
+ *   forceUpdate() を1回だけ呼んで確定した高さを通知する
+ *   （transitionend が発火しない場合は transitionTimeout 後に通知する）
+ * - prefers-reduced-motion: reduce の場合は transition を待たずにすぐ通知する
+ *
+ * 公開API（window.ChildExpandToggles）:
+ * - init(options)       トグルとパネルを初期化し、クリックの監視を開始する
+ * - refresh()           追加されたトグル・パネルを初期化する
+ * - open(id) / close(id) / toggle(id)  パネルを展開・折りたたみ・切り替える
+ *                       （getSectionIds() に含まれないIDの場合は例外を投げる）
+ * - isOpen(id)          パネルが展開されているかを返す
+ * - getOpenSections()   展開されているパネルのIDを文書順で返す
+ * - getSectionIds()     トグルが制御するすべてのパネルのIDを返す
+ * - setOpenSections(ids, options)  指定したパネルだけを展開する（{ animate: false } でアニメーションなし）
+ *
+ * child-height-sync.js の後に読み込んでください。
+ *   <script src="child-expand-toggles.js"></script>
+ */
+(function () {
+    /**
+     * デフォルトのオプション
+     *
+     * - root:              トグルとパネルを探す範囲
+     * - transitionTimeout: transitionend を待つ最大時間（ms）。CSS transition（500ms）+ 余裕
+     * - onChange:          パネルが展開・折りたたまれた際に呼ばれるコールバック
+     *                      function (id, open, openSections)
+     * - urlParam:          展開状態を保存・復元するURLのパラメータ名（nullで無効）
+     * - urlMode:           展開状態を保存する場所 'query' | 'hash'（nullの場合は復元のみ行う）
+     * - primarySection:    state.expanded として展開状態を通知するパネルのID（nullの場合は通知しない）
+     */
+    const DEFAULT_OPTIONS = {
+        root: document,
+        transitionTimeout: 700,
+        onChange: null,
+        urlParam: 'open',
+        urlMode: 'query',
+        primarySection: null
+    };
+
+    const logger = ChildHeightSync.logger;
+    // 動きを減らす設定（styles.css で transition を無効にしている）
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    let options = null;
+    // transition の完了を待っているパネル → transitionend のリスナー
+    const pendingPanels = new Map();
+    let settleTimer = null;
+    let settleStartTime = 0;
+
+    function getPanel(id) {
+        return options.root.querySelector(`#${CSS.escape(id)}`);
+    }
+
+    function getToggles(id) {
+        return Array.prototype.slice.call(
+            options.root.querySelectorAll(`[data-expand-toggle="${CSS.escape(id)}"]`)
+        );
+    }
+
+    function isOpen(id) {
+        const panel = getPanel(id);
+        return !!panel && panel.classList.contains('expanded');
+    }
+
+    /**
+     * getOpenSections()
+     *
+     * @returns {string[]} 展開されているパネルのID（文書順）
+     */
+    function getOpenSections() {
+        const ids = [];
+        options.root.querySelectorAll('[data-expand-toggle]').forEach(function (toggle) {
+            const id = toggle.dataset.expandToggle;
+            if (ids.indexOf(id) === -1 && isOpen(id)) {
+                ids.push(id);
+            }
+        });
+        const panels = ids.map(getPanel);
+        panels.sort(function (a, b) {
+            return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+        return panels.map(function (panel) {
+            return panel.id;
+        });
+    }
+
+    /**
+     * render(id, open, instant)
+     *
+     * パネルとそのトグルの表示・アクセシビリティ属性を、展開状態に合わせます。
+     *
+     * @param {boolean} [instant=false] - trueの場合は transition を一時的に無効にして、すぐに最終的な高さにする
+     */
+    function render(id, open, instant) {
+        const panel = getPanel(id);
+        const toggles = getToggles(id);
+
+        if (!open && panel.contains(document.activeElement) && toggles.length > 0) {
+            toggles[0].focus();
+        }
+        if (instant) {
+            const transition = panel.style.transition;
+            panel.style.transition = 'none';
+            panel.classList.toggle('expanded', open);
+            // transition: none のままスタイルを確定させてから元に戻す（戻した後に transition が始まらない）
+            void panel.offsetHeight;
+            panel.style.transition = transition;
+        } else {
+            panel.classList.toggle('expanded', open);
+        }
+        panel.inert = !open;
+
+        toggles.forEach(function (toggle) {
+            toggle.setAttribute('aria-controls', id);
+            toggle.setAttribute('aria-expanded', String(open));
+            toggle.classList.toggle('expanded', open);
+            const label = open ? toggle.dataset.collapseLabel : toggle.dataset.expandLabel;
+            if (label) {
+                toggle.textContent = label;
+            }
+        });
+    }
+
+    /**
+     * waitForTransition(panel)
+     *
+     * パネルの transition の完了を待ちます。待っているすべてのパネルが完了したら、
+     * （またはタイムアウトしたら）forceUpdate() で確定した高さを1回だけ通知します。
+     * 新しく切り替えるたびにタイムアウトは延長されます。
+     */
+    function waitForTransition(panel) {
+        if (!pendingPanels.has(panel)) {
+            const handleTransitionEnd = function (event) {
+                if (event.target !== panel) {
+                    return;
+                }
+                panel.removeEventListener('transitionend', handleTransitionEnd);
+                pendingPanels.delete(panel);
+                logger.debug(`transitionend fired on #${panel.id}`);
+                if (pendingPanels.size === 0) {
+                    settle('transitionend');
+                }
+            };
+            panel.addEventListener('transitionend', handleTransitionEnd);
+            pendingPanels.set(panel, handleTransitionEnd);
+        }
+
+        if (settleTimer === null) {
+            settleStartTime = performance.now();
+        } else {
+            clearTimeout(settleTimer);
+        }
+        settleTimer = setTimeout(function () {
+            logger.debug('Transition timeout, updating height anyway');
+            settle('timeout');
+        }, options.transitionTimeout);
+    }
+
+    function settle(reason) {
+        if (settleTimer !== null) {
+            clearTimeout(settleTimer);
+            settleTimer = null;
+        }
+        pendingPanels.forEach(function (listener, panel) {
+            panel.removeEventListener('transitionend', listener);
+        });
+        pendingPanels.clear();
+
+        // start() の前（init() でのURLからの復元など）は、start() 時の最初の測定に任せる
+        if (ChildHeightSync.getStrategy() === null) {
+            return;
+        }
+        ChildHeightSync.forceUpdate();
+        const totalTime = performance.now() - settleStartTime;
+        logger.info(`Toggle action completed (${reason}) in ${totalTime.toFixed(2)}ms`);
+    }
+
+    function getAccordion(panel) {
+        return panel.parentElement ? panel.parentElement.closest('[data-expand-accordion]') : null;
+    }
+
+    /**
+     * reportState(openSections)
+     *
+     * 展開状態を ChildHeightSync.setState() に渡し、次の height-change で親ページに通知させます。
+     */
+    function reportState(openSections) {
+        const state = {};
+        if (options.primarySection) {
+            state.expanded = openSections.indexOf(options.primarySection) !== -1;
+        }
+        state.openSections = openSections;
+        ChildHeightSync.setState(state);
+    }
+
+    /**
+     * getSectionIds()
+     *
+     * @returns {string[]} トグルが制御する（パネルが存在する）すべてのパネルのID
+     */
+    function getSectionIds() {
+        const ids = [];
+        options.root.querySelectorAll('[data-expand-toggle]').forEach(function (toggle) {
+            const id = toggle.dataset.expandToggle;
+            if (ids.indexOf(id) === -1 && getPanel(id)) {
+                ids.push(id);
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * writeUrl(openSections)
+     *
+     * 展開されているパネルのIDを、子ページのURL（urlMode に応じてクエリ文字列かハッシュ）に保存します。
+     * 子ページが再読み込みされても、同じ状態で表示されるようにするためです。
+     */
+    function writeUrl(openSections) {
+        if (!options.urlParam || !options.urlMode) {
+            return;
+        }
+        const url = new URL(window.location.href);
+        // ハッシュには、ページ内リンクのアンカー（'=' を含まない部分。#faq&open=...）も入っている場合がある
+        const hashParts = url.hash.slice(1).split('&').filter(Boolean);
+        const anchors = hashParts.filter(function (part) {
+            return part.indexOf('=') === -1;
+        });
+        const params = options.urlMode === 'hash' ? new URLSearchParams(hashParts.filter(function (part) {
+            return part.indexOf('=') !== -1;
+        }).join('&')) : url.searchParams;
+        if (openSections.length > 0) {
+            params.set(options.urlParam, openSections.join(','));
+        } else {
+            params.delete(options.urlParam);
+        }
+        if (options.urlMode === 'hash') {
+            url.hash = anchors.concat(params.toString()).filter(Boolean).join('&');
+        }
+        try {
+            history.replaceState(history.state, '', url.href);
+        } catch (e) {
+            // srcdoc や about:blank などURLを変更できない文書では保存しない
+            logger.debug('Could not save the expanded state to the URL:', e);
+        }
+    }
+
+    /**
+     * readUrl()
+     *
+     * @returns {string[]|null} URLに保存された展開されているパネルのID（ハッシュを優先、ない場合はnull）
+     */
+    function readUrl() {
+        if (!options.urlParam) {
+            return null;
+        }
+        const fromHash = new URLSearchParams(window.location.hash.slice(1)).get(options.urlParam);
+        const value = fromHash !== null ? fromHash : new URLSearchParams(window.location.search).get(options.urlParam);
+        if (value === null) {
+            return null;
+        }
+        return value.split(',').filter(function (id) {
+            return id !== '';
+        });
+    }
+
+    /**
+     * applyChanges(changes, animate)
+     *
+     * パネルの展開状態を変更し、状態の通知・URLへの保存・高さの通知を行います。
+     *
+     * @param {Array<{id: string, open: boolean}>} changes - 変更するパネルと新しい状態
+     * @param {boolean} animate - falseの場合は transition を行わず、すぐに確定した高さを通知する
+     * @returns {boolean} 状態を変更した場合はtrue
+     */
+    function applyChanges(changes, animate) {
+        if (changes.length === 0) {
+            return false;
+        }
+        const instant = !animate || reducedMotion.matches;
+
+        changes.forEach(function (change) {
+            logger.debug(`${change.open ? 'Expanding' : 'Collapsing'} #${change.id}${instant ? ' (no animation)' : ''}`);
+            render(change.id, change.open, instant);
+        });
+        const openSections = getOpenSections();
+        reportState(openSections);
+        writeUrl(openSections);
+
+        if (instant) {
+            // transition がないため、待たずに通知する
+            settleStartTime = performance.now();
+            settle(animate ? 'reduced motion' : 'no animation');
+        } else {
+            changes.forEach(function (change) {
+                waitForTransition(getPanel(change.id));
+            });
+        }
+
+        if (typeof options.onChange === 'function') {
+            changes.forEach(function (change) {
+                options.onChange(change.id, change.open, openSections);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * setOpen(id, open)
+     *
+     * パネルを展開・折りたたみます。アコーディオン内のパネルを展開した場合は、
+     * 同じアコーディオンの他のパネルを折りたたみます。
+     *
+     * @returns {boolean} 状態を変更した場合はtrue
+     */
+    function setOpen(id, open) {
+        if (getSectionIds().indexOf(id) === -1) {
+            logger.warn(`Unknown section "${id}", ignoring`);
+            return false;
+        }
+        const panel = getPanel(id);
+        if (isOpen(id) === open) {
+            return false;
+        }
+
+        const changes = [{ id: id, open: open }];
+        const accordion = getAccordion(panel);
+        if (open && accordion) {
+            getOpenSections().forEach(function (otherId) {
+                if (otherId !== id && getAccordion(getPanel(otherId)) === accordion) {
+                    changes.push({ id: otherId, open: false });
+                }
+            });
+        }
+        return applyChanges(changes, true);
+    }
+
+    /**
+     * setOpenSections(ids, setOptions)
+     *
+     * 指定したパネルだけを展開し、それ以外を折りたたみます。
+     * 同じアコーディオンのパネルが複数指定された場合は、最初のものだけを展開します。
+     *
+     * @param {string[]} ids - 展開するパネルのID
+     * @param {Object} [setOptions]
+     * @param {boolean} [setOptions.animate=true] - falseの場合はアニメーションなしで切り替える
+     * @returns {boolean} 状態を変更した場合はtrue
+     */
+    function setOpenSections(ids, setOptions) {
+        const animate = !setOptions || setOptions.animate !== false;
+        const sectionIds = getSectionIds();
+        const accordions = [];
+        const openIds = [];
+        ids.forEach(function (id) {
+            if (sectionIds.indexOf(id) === -1) {
+                logger.warn(`Unknown section "${id}", ignoring`);
+                return;
+            }
+            const accordion = getAccordion(getPanel(id));
+            if (accordion) {
+                if (accordions.indexOf(accordion) !== -1) {
+                    return;
+                }
+                accordions.push(accordion);
+            }
+            openIds.push(id);
+        });
+
+        const changes = [];
+        sectionIds.forEach(function (id) {
+            const open = openIds.indexOf(id) !== -1;
+            if (isOpen(id) !== open) {
+                changes.push({ id: id, open: open });
+            }
+        });
+        return applyChanges(changes, animate);
+    }
+
+    function handleClick(event) {
+        const toggle = event.target instanceof Element && event.target.closest('[data-expand-toggle]');
+        if (!toggle || !options.root.contains(toggle)) {
+            return;
+        }
+        const id = toggle.dataset.expandToggle;
+        setOpen(id, !isOpen(id));
+    }
+
+    /**
+     * refresh()
+     *
+     * すべてのトグルとパネルの属性を現在の展開状態に合わせます。
+     * init() の後にトグルやパネルを追加した場合に呼んでください。
+     */
+    function refresh() {
+        if (!options) {
+            return;
+        }
+        const ids = [];
+        options.root.querySelectorAll('[data-expand-toggle]').forEach(function (toggle) {
+            const id = toggle.dataset.expandToggle;
+            if (ids.indexOf(id) !== -1) {
+                return;
+            }
+            ids.push(id);
+            if (getPanel(id)) {
+                render(id, isOpen(id), true);
+            } else {
+                logger.warn(`No panel found for data-expand-toggle="${id}"`);
+            }
+        });
+        reportState(getOpenSections());
+    }
+
+    /**
+     * init(userOptions)
+     *
+     * トグルとパネルを初期化し、クリックの監視を開始します（クリックはイベント委譲で処理するため、
+     * 後から追加したトグルも動作します）。URLに展開状態がある場合は、アニメーションなしで復元します。
+     * 2回目以降の呼び出しではオプションの更新と refresh() のみ行います。
+     *
+     * @param {Object} [userOptions] - DEFAULT_OPTIONS を上書きするオプション
+     */
+    function init(userOptions) {
+        const first = options === null;
+        options = Object.assign({}, DEFAULT_OPTIONS, userOptions || {});
+        if (first) {
+            document.addEventListener('click', handleClick);
+        }
+        refresh();
+
+        const restored = first ? readUrl() : null;
+        if (restored) {
+            logger.info('Restoring expanded sections from the URL:', restored);
+            setOpenSections(restored, { animate: false });
+        }
+    }
+
+    function requireInit() {
+        if (!options) {
+            throw new Error('ChildExpandToggles.init() has not been called');
+        }
+    }
+
+    /**
+     * requireSection(id)
+     *
+     * トグルが制御するパネルのIDでなければ例外を投げます。
+     * 任意の要素のIDで class や inert を書き換えないようにするためです。
+     */
+    function requireSection(id) {
+        requireInit();
+        if (getSectionIds().indexOf(id) === -1) {
+            throw new Error(`Unknown section "${id}"`);
+        }
+    }
+
+    window.ChildExpandToggles = {
+        init: init,
+        refresh: refresh,
+        open: function (id) {
+            requireSection(id);
+            return setOpen(id, true);
+        },
+        close: function (id) {
+            requireSection(id);
+            return setOpen(id, false);
+        },
+        toggle: function (id) {
+            requireSection(id);
+            return setOpen(id, !isOpen(id));
+        },
+        isOpen: function (id) {
+            requireInit();
+            return isOpen(id);
+        },
+        getOpenSections: function () {
+            requireInit();
+            return getOpenSections();
+        },
+        getSectionIds: function () {
+            requireInit();
+            return getSectionIds();
+        },
+        setOpenSections: function (ids, setOptions) {
+            requireInit();
+            return setOpenSections(ids, setOptions);
+        }
+    };
+})();
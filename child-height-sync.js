@@ -0,0 +1,1742 @@
+/**
+ * Child Height Sync Library
+ *
+ * iframe内に埋め込まれる子ページの高さを監視し、
+ * 高さが変化した際に親サイトへpostMessageで通知する再利用可能なライブラリです。
+ *
+ * デモ用のマークアップ（#toggle-button など）には依存しないため、
+ * 任意の子ページに iframe-protocol.js と child-height-sync.js を追加するだけで利用できます。
+ *
+ * 公開API（window.ChildHeightSync）:
+ * - start(options)   監視を開始する
+ * - stop()           監視を停止し、オブザーバー・タイマー・リスナーを解放する
+ * - destroy()        stop() に加えて親ページに detached を送信し、メッセージの受信もやめる
+ * - forceUpdate()    高さを即座に再計算して通知する
+ * - getLastHeight()  最後に通知した高さを返す
+ * - getLastSize()    最後に通知した高さと幅を返す
+ * - measureWith(strategy, doc)  指定した測定方法で高さと幅を測定する
+ * - getStrategy()    使用中の検出方法を返す
+ * - setState(state) / getState()  height-change に含めて親ページに通知するページの状態を設定・取得する
+ * - scrollIntoView(element, options)  親ページのスクロールで要素を表示する（element.scrollIntoView() の代わり）
+ * - getParentViewport()            親ページの表示領域の大きさとスクロール位置、iframe から見える範囲を取得する
+ * - setLogLevel(level) / getLogs()  ログレベルの変更、保持しているログの取得
+ * - logger           ページ側のスクリプト用のロガー（logger.info('...') など）
+ * - addMonitor(fn)   送受信と測定の記録を受け取る関数を登録する（child-debug-overlay.js で使用）
+ * - on(type, handler) / off(type)  親ページからのコマンドのハンドラを登録・解除する
+ * - send(type, payload)            親ページにメッセージを送信する
+ * - request(type, payload)         親ページにリクエストを送信し、応答をPromiseで受け取る
+ *
+ * メッセージ形式は iframe-protocol.js を参照してください（先に読み込む必要があります）。
+ *
+ * セキュリティ（ハンドシェイク）:
+ * - 子ページは、親ページから init メッセージ（nonce付き）を受信するまで高さを送信しません
+ * - init を送ってきたオリジンが許可リストに含まれている場合のみ、そのオリジンに対してのみ送信します
+ * - 送信するメッセージには nonce を含め、親ページが他のフレームからの偽装メッセージを拒否できるようにします
+ *
+ * 許可リストの指定方法（どちらか一方）:
+ *   <script src="child-height-sync.js" data-allowed-origins="https://example.com https://example.org"></script>
+ *   ChildHeightSync.start({ allowedOrigins: ['https://example.com'] });
+ * 許可リストが指定されていない場合は、init を送ってきた任意のオリジンを受け入れます
+ * （その場合も '*' ではなく、そのオリジンに限定して送信します）。
+ *
+ * 高さの変化の検出:
+ * - ResizeObserver が使える場合は、<html>・<body> と body の子要素のサイズ変化を監視する（定期チェックは行わない）
+ * - 使えない場合は MutationObserver + resize / load イベント + 定期チェックにフォールバックする
+ * - どの方法で検出しても、測定は requestAnimationFrame で1フレームに1回にまとめられる
+ * - transitionSelector に一致する要素の CSS transition 中は、途中経過の高さ（final: false）を
+ *   一定間隔で送信し、完了時に確定した高さ（final: true）を必ず送信する
+ * - ページが非表示の間（visibilitychange、pagehide）は測定を一時停止し、
+ *   表示されたとき（bfcache からの復元を含む）に高さを再同期する
+ *
+ * スクロールの連携:
+ * - iframe は内容の高さまで広げられるため、子ページ自身はスクロールしない。
+ *   そのため、ページ内リンク（#id）や要素へのフォーカスの移動では何も表示が変わらない
+ * - scrollCoordination が有効な場合、ページ内リンクのクリック・hashchange・フォーカスの移動を検出して
+ *   要素の位置を scroll-to で親ページに送信し、親ページが自身のウィンドウをスクロールする
+ * - 読み込み時のURLにハッシュがある場合（index.html#faq）も、ハンドシェイク完了後に1回だけスクロールさせる
+ * - モーダルやツールチップの配置には getParentViewport() で親ページの表示領域を取得する
+ *
+ * 使用例:
+ *   ChildHeightSync.start({
+ *       checkInterval: 0,  // フォールバック時も定期チェックを行わない
+ *       onHeightChange: function (height) { console.log(height); }
+ *   });
+ */
+(function () {
+    /**
+     * デフォルトのオプション
+     *
+     * - target:           高さを測定する要素（指定した場合は measure より優先して、その要素の scrollHeight を使用）
+     * - measure:          測定方法 'max' | 'bodyOffset' | 'documentElementScroll' | 'boundingRect' | 'taggedElement'
+     *                     （MEASURE_STRATEGIES を参照）
+     * - strategy:         検出方法 'auto' | 'resize-observer' | 'mutation'
+     *                     （'auto' と 'resize-observer' は ResizeObserver が使えない場合に自動でフォールバック）
+     * - mutationDebounce: MutationObserver のデバウンス時間（ms）。フォールバック時のみ使用
+     * - checkInterval:    定期チェックの間隔（ms）。フォールバック時の最後の手段で、0以下で無効
+     * - observeResize:    window の resize イベントを監視するかどうか。フォールバック時のみ使用
+     * - transitionSelector:      transition 中に高さを逐次送信する要素のセレクタ（nullで無効）
+     * - transitionFrameInterval: transition 中に高さを送信する最小間隔（ms）
+     * - onHeightChange:   高さ（または幅）が変化した際に呼ばれるコールバック function (height, width)
+     * - allowedOrigins:   親ページとして許可するオリジンの配列（nullの場合は script タグの data-allowed-origins）
+     * - logLevel:         ログレベル（nullの場合は変更しない。クエリ文字列の ?logLevel= が優先）
+     * - logBufferSize:    ログのリングバッファに保持するエントリ数（nullの場合は変更しない）
+     * - scrollCoordination: ページ内リンク・フォーカスの移動で親ページをスクロールさせるかどうか
+     */
+    const DEFAULT_OPTIONS = {
+        target: null,
+        measure: 'bodyOffset',
+        strategy: 'auto',
+        mutationDebounce: 300,
+        checkInterval: 3000,
+        observeResize: true,
+        transitionSelector: '[data-height-transition]',
+        transitionFrameInterval: 50,
+        onHeightChange: null,
+        allowedOrigins: null,
+        logLevel: null,
+        logBufferSize: null,
+        scrollCoordination: true
+    };
+
+    // script タグは読み込み時にしか取得できないため、ここで保持しておく
+    const currentScript = document.currentScript;
+
+    let options = null;
+    let running = false;
+    // ページが非表示の間は測定を一時停止する（pause() / resume()）
+    let paused = false;
+    // destroy() 後は親ページからのメッセージを受信しない
+    let destroyed = false;
+    let lastHeight = 0;
+    let lastWidth = 0;
+    let updateCount = 0;
+    let messageCount = 0;
+    let mutationCount = 0;
+    let skipCount = 0;
+
+    // setState() で設定された、height-change に含めて通知するページの状態
+    let pageState = null;
+    // 状態が変わってからまだ親ページに通知していない場合はtrue
+    let stateChanged = false;
+
+    // addMonitor() で登録された、送受信と測定の記録を受け取る関数
+    const monitors = [];
+
+    // ログを出さない（頻繁に発生する）測定のきっかけ
+    const SILENT_TRIGGERS = ['resize-observer', 'mutation', 'interval', 'transition'];
+
+    let activeStrategy = null;
+    let resizeObserver = null;
+    // body の子要素の追加・削除を検出し、ResizeObserver の監視対象を更新する
+    let bodyChildObserver = null;
+    let observer = null;
+    let mutationDebounceTimer = null;
+    // デバウンス中の最初の変更が発生した時刻（送信までの時間をデバウンス前から計るため）
+    let mutationStartTime = null;
+    let heightCheckInterval = null;
+    let frameRequest = null;
+    let pendingTrigger = null;
+    let pendingTriggerTime = 0;
+
+    // transition 中の要素と、そのプロパティ名（Map<Element, Set<string>>）
+    const activeTransitions = new Map();
+    let streamFrameRequest = null;
+    let lastStreamTime = 0;
+    let transitionSafetyTimer = null;
+    // 保険のタイマーが発火する時刻（performance.now()）。重なった transition のうち最も遅い終了時刻
+    let transitionSafetyDeadline = 0;
+
+    // ハンドシェイクで確定した親ページのオリジンとnonce
+    let parentOrigin = null;
+    let channelNonce = null;
+
+    /**
+     * ログ
+     *
+     * ログレベル（debug < info < warn < error < off）以上のログだけをコンソールに出力します。
+     * 既定は 'warn' で、埋め込み先のコンソールを汚さないようにしています。
+     *
+     * ログレベルの指定方法（上ほど優先）:
+     * 1. 子ページのURLのクエリ文字列: ?logLevel=debug
+     * 2. start() の logLevel オプション
+     * 3. script タグの data-log-level 属性
+     * 4. 親ページからの set-log-level コマンド（指定時点で上書き）
+     *
+     * ログは構造化されたエントリとして作成され、logBufferSize（または ?logBuffer=200、
+     * data-log-buffer 属性）を指定すると、直近のエントリをリングバッファに保持します。
+     * 保持したエントリは getLogs() や親ページからの dump-logs コマンドで取得できます。
+     *
+     * エントリの形式:
+     * {
+     *   seq: <連番>, time: <ISO 8601>, elapsed: <ページ読み込みからのms>,
+     *   level: 'info', message: '...', data: <任意>,
+     *   counters: { updateCount, messageCount, mutationCount, skipCount }
+     * }
+     */
+    const LOG_LEVELS = {
+        debug: 10,
+        info: 20,
+        warn: 30,
+        error: 40,
+        off: 100
+    };
+    const queryParams = new URLSearchParams(window.location.search);
+    const queryLogLevel = LOG_LEVELS[queryParams.get('logLevel')] ? queryParams.get('logLevel') : null;
+    const logBuffer = [];
+    let logLevel = queryLogLevel ||
+        (currentScript && LOG_LEVELS[currentScript.dataset.logLevel] ? currentScript.dataset.logLevel : 'warn');
+    let logBufferSize = parseInt(queryParams.get('logBuffer') ||
+        (currentScript && currentScript.dataset.logBuffer) || '0', 10) || 0;
+    let logSequence = 0;
+
+    /**
+     * log(level, message, data)
+     *
+     * ログのエントリを作成し、リングバッファに保持して、ログレベル以上であればコンソールに出力します。
+     *
+     * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+     * @param {string} message - メッセージ
+     * @param {*} [data] - 付加情報
+     */
+    function log(level, message, data) {
+        const printable = LOG_LEVELS[level] >= LOG_LEVELS[logLevel];
+        if (!printable && logBufferSize === 0) {
+            return;
+        }
+
+        logSequence++;
+        const entry = {
+            seq: logSequence,
+            time: new Date().toISOString(),
+            elapsed: Math.round(performance.now()),
+            level: level,
+            message: message,
+            data: data,
+            counters: {
+                updateCount: updateCount,
+                messageCount: messageCount,
+                mutationCount: mutationCount,
+                skipCount: skipCount
+            }
+        };
+
+        if (logBufferSize > 0) {
+            logBuffer.push(entry);
+            if (logBuffer.length > logBufferSize) {
+                logBuffer.splice(0, logBuffer.length - logBufferSize);
+            }
+        }
+
+        if (printable) {
+            const method = level === 'warn' || level === 'error' ? level : 'log';
+            const line = `[CHILD] ${entry.time.slice(11, 23)} ${level.toUpperCase()} ${message}`;
+            if (data === undefined) {
+                console[method](line);
+            } else {
+                console[method](line, data);
+            }
+        }
+    }
+
+    /**
+     * setLogLevel(level)
+     *
+     * @param {string} level - 'debug' | 'info' | 'warn' | 'error' | 'off'
+     */
+    function setLogLevel(level) {
+        if (!LOG_LEVELS[level]) {
+            throw new Error(`Unknown log level "${level}"`);
+        }
+        logLevel = level;
+    }
+
+    /**
+     * setLogBufferSize(size)
+     *
+     * リングバッファに保持するエントリ数を変更します（0で無効、保持済みのエントリも破棄）。
+     */
+    function setLogBufferSize(size) {
+        logBufferSize = Math.max(0, size | 0);
+        if (logBuffer.length > logBufferSize) {
+            logBuffer.splice(0, logBuffer.length - logBufferSize);
+        }
+    }
+
+    /**
+     * getLogs()
+     *
+     * @returns {Object[]} リングバッファに保持しているエントリ（古い順）のコピー
+     */
+    function getLogs() {
+        return logBuffer.slice();
+    }
+
+    /**
+     * emit(record)
+     *
+     * 送受信と測定の記録をモニターに通知します（デバッグ用オーバーレイなどで使用）。
+     * time（performance.now()）を付与します。モニター内の例外は無視します。
+     *
+     * record.kind:
+     * - 'outgoing': { message }                     親ページへ送信したメッセージ
+     * - 'incoming': { message, origin, accepted }   親ページから受信したメッセージ（accepted: 検証に通ったか）
+     * - 'measure':  { trigger, height, width, skipped, sent, cost, latency }
+     *               測定の結果（skipped: 高さが同じで送信しなかった、cost: 測定にかかった時間、
+     *               latency: きっかけの発生から送信までの時間）
+     */
+    function emit(record) {
+        if (monitors.length === 0) {
+            return;
+        }
+        record.time = performance.now();
+        monitors.slice().forEach(function (monitor) {
+            try {
+                monitor(record);
+            } catch (e) {
+                // モニターの不具合で高さの同期を止めない
+            }
+        });
+    }
+
+    /**
+     * addMonitor(monitor)
+     *
+     * 送受信と測定の記録を受け取る関数を登録します（emit() を参照）。
+     *
+     * @param {Function} monitor - function (record)
+     * @returns {Function} 登録を解除する関数
+     */
+    function addMonitor(monitor) {
+        monitors.push(monitor);
+        return function () {
+            const index = monitors.indexOf(monitor);
+            if (index !== -1) {
+                monitors.splice(index, 1);
+            }
+        };
+    }
+
+    // script.js などページ側のスクリプトも同じログの仕組みを使えるようにする
+    const logger = {
+        debug: function (message, data) {
+            log('debug', message, data);
+        },
+        info: function (message, data) {
+            log('info', message, data);
+        },
+        warn: function (message, data) {
+            log('warn', message, data);
+        },
+        error: function (message, data) {
+            log('error', message, data);
+        }
+    };
+
+    /**
+     * getAllowedOrigins()
+     *
+     * 許可された親オリジンの一覧を返します。
+     * start() の allowedOrigins が優先され、なければ script タグの data-allowed-origins を使用します。
+     *
+     * @returns {string[]} 許可リスト（空の場合は制限なし）
+     */
+    function getAllowedOrigins() {
+        if (options && Array.isArray(options.allowedOrigins)) {
+            return options.allowedOrigins;
+        }
+        if (currentScript && currentScript.dataset.allowedOrigins) {
+            return currentScript.dataset.allowedOrigins.split(/[\s,]+/).filter(Boolean);
+        }
+        return [];
+    }
+
+    function isOriginAllowed(origin) {
+        const allowed = getAllowedOrigins();
+        return allowed.length === 0 || allowed.indexOf(origin) !== -1;
+    }
+
+    /**
+     * postToParent(message)
+     *
+     * ハンドシェイク済みの親オリジンに対してのみメッセージを送信します。
+     * nonce を自動的に付与します。
+     * ハンドシェイク前のメッセージはキューに入れずに破棄します
+     * （height-change はハンドシェイク完了時に最新の高さを送り直すため、失われません）。
+     *
+     * 注意: file:// で開いている場合はオリジンが 'null' になり、
+     * postMessage のターゲットとして指定できないため '*' を使用します。
+     *
+     * @param {Object} message - 送信するメッセージ（IframeProtocol のエンベロープ）
+     * @returns {boolean} 送信した場合はtrue
+     */
+    function postToParent(message) {
+        if (!window.parent || window.parent === window) {
+            log('debug', 'No parent window or same window, skipping postMessage');
+            return false;
+        }
+        if (!parentOrigin) {
+            log('debug', 'Handshake not completed yet, message dropped:', message.type);
+            return false;
+        }
+        message.nonce = channelNonce;
+        window.parent.postMessage(message, parentOrigin === 'null' ? '*' : parentOrigin);
+        emit({ kind: 'outgoing', message: message });
+        return true;
+    }
+
+    /**
+     * 親ページからのコマンドを処理するエンドポイント
+     *
+     * 標準で対応するコマンド:
+     * - request-height: 現在の高さを測定して返す
+     * - ping:           疎通確認
+     * - set-theme:      <html> の data-theme 属性を変更する
+     * - set-log-level:  ログレベルを変更する
+     * - dump-logs:      リングバッファに保持しているログを返す
+     *
+     * set-expanded などページ固有のコマンドは ChildHeightSync.on() で登録します。
+     */
+    const endpoint = IframeProtocol.createEndpoint({
+        post: postToParent,
+        log: log,
+        handlers: {
+            'request-height': function () {
+                return measureSize();
+            },
+            'ping': function () {
+                return { pong: true, time: Date.now() };
+            },
+            'set-theme': function (payload) {
+                if (typeof payload.theme !== 'string') {
+                    throw new Error('set-theme requires a string "theme"');
+                }
+                document.documentElement.dataset.theme = payload.theme;
+                // テーマの変更で高さが変わる可能性があるため、描画後に再計算する
+                if (running) {
+                    requestAnimationFrame(function () {
+                        updateHeight('command');
+                    });
+                }
+                return { theme: payload.theme };
+            },
+            'set-log-level': function (payload) {
+                setLogLevel(payload.level);
+                return { level: logLevel };
+            },
+            'dump-logs': function () {
+                return { level: logLevel, bufferSize: logBufferSize, entries: getLogs() };
+            }
+        }
+    });
+
+    /**
+     * applyInitialState(state)
+     *
+     * init に含まれる初期状態（state）を、ページが on('set-state') で登録したハンドラに
+     * animate: false で渡します。ハンドシェイクの完了前に呼ぶため、状態の復元で変わった高さは
+     * 親ページに送信されず、ハンドシェイク完了時に最初の高さとして通知されます。
+     */
+    function applyInitialState(state) {
+        const handler = endpoint.handlers['set-state'];
+        if (typeof handler !== 'function') {
+            log('warn', 'init contains a state but no set-state handler is registered, ignoring');
+            return;
+        }
+        try {
+            handler({ state: state, animate: false });
+        } catch (e) {
+            log('warn', 'Could not apply the initial state:', e);
+        }
+    }
+
+    /**
+     * completeHandshake(event)
+     *
+     * init メッセージの送信元オリジンを検証し、ハンドシェイクを完了します。
+     * init に初期状態（state）が含まれる場合は先に適用します。
+     * 完了すると init-ack と現在の高さを返し、URLにハッシュ（index.html#faq）があれば
+     * その要素まで親ページをスクロールさせます。
+     */
+    function completeHandshake(event) {
+        const data = event.data;
+        const problem = IframeProtocol.validateMessage(data);
+        if (problem || typeof data.payload.nonce !== 'string') {
+            log('warn', 'Malformed init message, ignoring:', problem ? problem.message : data);
+            return;
+        }
+        if (!isOriginAllowed(event.origin)) {
+            log('warn', `init from disallowed origin ${event.origin}, ignoring`);
+            return;
+        }
+
+        if (data.payload.state && typeof data.payload.state === 'object') {
+            // 以前のハンドシェイクのnonceで送信しないよう、先に接続を解除する
+            parentOrigin = null;
+            applyInitialState(data.payload.state);
+        }
+
+        parentOrigin = event.origin;
+        channelNonce = data.payload.nonce;
+        log('info', `Handshake completed with ${parentOrigin}`);
+        endpoint.send('init-ack', {});
+
+        // ハンドシェイク前に測定済みの高さがあれば、改めて通知する
+        if (lastHeight > 0) {
+            notifyParentHeightChange(lastHeight, lastWidth);
+        }
+        scrollToInitialHash();
+    }
+
+    /**
+     * handleParentMessage(event)
+     *
+     * 親ページからのメッセージを処理します。
+     *
+     * - init: ハンドシェイクを行う
+     * - それ以外: ハンドシェイク済みのオリジンから、正しいnonce付きで届いたものだけを
+     *   エンドポイントに渡す（不明・不正なメッセージには error が返信される）
+     */
+    function handleParentMessage(event) {
+        if (event.source !== window.parent) {
+            return;
+        }
+        const data = event.data;
+        if (!IframeProtocol.isProtocolMessage(data)) {
+            return;
+        }
+        if (data.type === 'init') {
+            emit({ kind: 'incoming', message: data, origin: event.origin, accepted: true });
+            completeHandshake(event);
+            return;
+        }
+        if (!parentOrigin || (parentOrigin !== 'null' && event.origin !== parentOrigin) || data.nonce !== channelNonce) {
+            log('warn', 'Message from unverified parent, ignoring:', data.type);
+            emit({ kind: 'incoming', message: data, origin: event.origin, accepted: false });
+            return;
+        }
+        emit({ kind: 'incoming', message: data, origin: event.origin, accepted: true });
+        endpoint.receive(data);
+    }
+
+    // init はstart()より前に届く可能性があるため、読み込み時にリスナーを登録する
+    window.addEventListener('message', handleParentMessage);
+
+    /**
+     * sumStyles(doc, element, first, second)
+     *
+     * 要素の計算済みスタイルから、2つのプロパティ（margin-top と margin-bottom など）の合計を返します。
+     */
+    function sumStyles(doc, element, first, second) {
+        const style = doc.defaultView.getComputedStyle(element);
+        return (parseFloat(style[first]) || 0) + (parseFloat(style[second]) || 0);
+    }
+
+    /**
+     * collectBounds(doc, root)
+     *
+     * root の子孫要素の getBoundingClientRect() を合わせた範囲（右端・下端）を求めます。
+     * overflow が visible でない要素（クリップする要素）は、その要素自身の範囲だけを含め、
+     * 子孫は見えている範囲外にはみ出さないため調べません（max-height: 0 で隠れた内容などを除外するため）。
+     *
+     * @returns {Object} { right, bottom }（ドキュメント座標、ピクセル単位）
+     */
+    function collectBounds(doc, root) {
+        const win = doc.defaultView;
+        let right = 0;
+        let bottom = 0;
+
+        function visit(element) {
+            for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+                const style = win.getComputedStyle(child);
+                if (style.display === 'none') {
+                    continue;
+                }
+                const rect = child.getBoundingClientRect();
+                if (rect.width > 0 || rect.height > 0) {
+                    right = Math.max(right, rect.right);
+                    bottom = Math.max(bottom, rect.bottom);
+                }
+                if (style.overflowX === 'visible' && style.overflowY === 'visible') {
+                    visit(child);
+                }
+            }
+        }
+
+        visit(root);
+        return {
+            right: right + win.scrollX,
+            bottom: bottom + win.scrollY
+        };
+    }
+
+    /**
+     * 高さ・幅の測定方法（measure オプション）
+     *
+     * - max:                   body / html の scrollHeight・offsetHeight の最大値
+     *                          取りこぼしは少ないが、iframe の表示領域より小さくは縮まない
+     * - bodyOffset:            body の offsetHeight + 上下の margin（body の margin を正しく含める）
+     * - documentElementScroll: html の scrollHeight（body の高さが0でも html に内容がある場合に有効）
+     * - boundingRect:          body 内の要素の getBoundingClientRect() を合わせた範囲 + body の padding・margin
+     *                          絶対配置やはみ出した内容も含み、表示領域より小さくも縮む（最も測定コストが高い）
+     * - taggedElement:         data-iframe-size 属性を付けた要素の範囲
+     *                          （該当する要素がない場合は max にフォールバック）
+     *
+     * 各関数は document を受け取り { height, width } を返します（該当なしの場合は null）。
+     */
+    const MEASURE_STRATEGIES = {
+        max: function (doc) {
+            const body = doc.body;
+            const html = doc.documentElement;
+            const bodyOffset = MEASURE_STRATEGIES.bodyOffset(doc);
+            return {
+                height: Math.max(body.scrollHeight, bodyOffset.height, html.scrollHeight, html.offsetHeight),
+                width: Math.max(body.scrollWidth, bodyOffset.width, html.scrollWidth, html.offsetWidth)
+            };
+        },
+        bodyOffset: function (doc) {
+            const body = doc.body;
+            return {
+                height: body.offsetHeight + sumStyles(doc, body, 'marginTop', 'marginBottom'),
+                width: body.offsetWidth + sumStyles(doc, body, 'marginLeft', 'marginRight')
+            };
+        },
+        documentElementScroll: function (doc) {
+            return {
+                height: doc.documentElement.scrollHeight,
+                width: doc.documentElement.scrollWidth
+            };
+        },
+        boundingRect: function (doc) {
+            const body = doc.body;
+            const bounds = collectBounds(doc, body);
+            return {
+                height: Math.ceil(bounds.bottom +
+                    sumStyles(doc, body, 'paddingBottom', 'marginBottom')),
+                width: Math.ceil(bounds.right +
+                    sumStyles(doc, body, 'paddingRight', 'marginRight'))
+            };
+        },
+        taggedElement: function (doc) {
+            const win = doc.defaultView;
+            const elements = doc.querySelectorAll('[data-iframe-size]');
+            if (elements.length === 0) {
+                return null;
+            }
+            let right = 0;
+            let bottom = 0;
+            elements.forEach(function (element) {
+                const rect = element.getBoundingClientRect();
+                right = Math.max(right, rect.right);
+                bottom = Math.max(bottom, rect.bottom);
+            });
+            return {
+                height: Math.ceil(bottom + win.scrollY),
+                width: Math.ceil(right + win.scrollX)
+            };
+        }
+    };
+
+    /**
+     * measureWith(strategy, doc)
+     *
+     * 指定した測定方法で document の高さと幅を測定します。
+     * 同一オリジンの別の document（iframe.contentDocument）も測定できます（measurement.html で使用）。
+     *
+     * @param {string} strategy - MEASURE_STRATEGIES のキー
+     * @param {Document} [doc=document] - 測定する document
+     * @returns {Object|null} { height, width }（taggedElement で該当する要素がない場合は null）
+     */
+    function measureWith(strategy, doc) {
+        const measure = MEASURE_STRATEGIES[strategy];
+        if (!measure) {
+            throw new Error(`Unknown measure strategy "${strategy}"`);
+        }
+        return measure(doc || document);
+    }
+
+    /**
+     * measureSize()
+     *
+     * 測定対象の高さと幅を取得します。
+     *
+     * - target が指定されている場合: その要素の scrollHeight / scrollWidth
+     * - 指定されていない場合: measure オプションの測定方法
+     *   （taggedElement で該当する要素がない場合は max）
+     *
+     * @returns {Object} { height, width }（ピクセル単位）
+     */
+    function measureSize() {
+        if (options && options.target) {
+            return {
+                height: options.target.scrollHeight,
+                width: options.target.scrollWidth
+            };
+        }
+        const strategy = options ? options.measure : DEFAULT_OPTIONS.measure;
+        return measureWith(strategy) || measureWith('max');
+    }
+
+    /**
+     * updateHeight(trigger, details)
+     *
+     * 現在の高さと幅を測定し、どちらかが前回と異なる場合のみ親サイトに通知します。
+     * 測定のたびに、モニター（addMonitor）に kind: 'measure' のレコードを通知します。
+     *
+     * @param {string} [trigger='force'] - 測定のきっかけ（SILENT_TRIGGERS に含まれる場合はログを出力しない）
+     * @param {Object} [details]
+     * @param {boolean} [details.final=true] - falseの場合は transition 中の途中経過として通知する
+     * @param {boolean} [details.force=false] - trueの場合は高さが変わっていなくても通知する（transition 完了時用）
+     * @param {number} [details.triggerTime] - きっかけが発生した時刻（performance.now()）。送信までの時間の計算に使う
+     */
+    function updateHeight(trigger = 'force', details = {}) {
+        const silent = SILENT_TRIGGERS.indexOf(trigger) !== -1;
+        const final = details.final !== false;
+        const force = details.force === true;
+        updateCount++;
+        const updateStartTime = performance.now();
+        const triggerTime = details.triggerTime || updateStartTime;
+        try {
+            const size = measureSize();
+            const height = size.height;
+            const width = size.width;
+            const changed = height !== lastHeight || width !== lastWidth;
+            const measureCost = performance.now() - updateStartTime;
+
+            // 高さも幅も状態も変わっていない場合はスキップ（不要な処理を避ける）
+            if (!changed && !force && !stateChanged) {
+                skipCount++;
+                if (!silent) {
+                    log('debug', `Size unchanged (${height}x${width}px), skipping update`);
+                }
+                emit({
+                    kind: 'measure',
+                    trigger: trigger,
+                    height: height,
+                    width: width,
+                    skipped: true,
+                    sent: false,
+                    cost: measureCost
+                });
+                return;
+            }
+
+            if (!silent) {
+                log('debug', `updateHeight #${updateCount} (${trigger}):`, {
+                    finalHeight: height,
+                    finalWidth: width,
+                    previousHeight: lastHeight,
+                    previousWidth: lastWidth,
+                    sizeChanged: changed
+                });
+            }
+
+            lastHeight = height;
+            lastWidth = width;
+
+            if (changed && typeof options.onHeightChange === 'function') {
+                options.onHeightChange(height, width);
+            }
+
+            const sent = notifyParentHeightChange(height, width, final);
+
+            const updateTime = performance.now() - updateStartTime;
+            if (!silent) {
+                log('debug', `Height update completed in ${updateTime.toFixed(2)}ms`);
+            }
+            emit({
+                kind: 'measure',
+                trigger: trigger,
+                height: height,
+                width: width,
+                skipped: false,
+                sent: sent,
+                cost: measureCost,
+                latency: performance.now() - triggerTime
+            });
+        } catch (e) {
+            log('error', 'Error updating height:', e);
+        }
+    }
+
+    /**
+     * notifyParentHeightChange(height, width, final)
+     *
+     * 親サイトに高さ（と幅）の変化を通知します。
+     *
+     * メッセージ形式（iframe-protocol.js のエンベロープ）:
+     * {
+     *   protocol: 'iframe-height-sync', version: 1, id: <文字列>,
+     *   type: 'height-change',
+     *   payload: {
+     *     height: <数値>,   // ピクセル単位の高さ
+     *     width: <数値>,    // ピクセル単位の幅
+     *     final: <真偽値>,  // false: transition 中の途中経過 / true: 確定した高さ
+     *     state: <Object>   // setState() で設定された状態（設定されていない場合は省略）
+     *   },
+     *   nonce: <文字列>     // ハンドシェイクで受け取ったnonce
+     * }
+     *
+     * ハンドシェイクが完了するまでは送信されません（完了時に最新の高さを送信します）。
+     *
+     * @param {number} height - 新しい高さ（ピクセル単位）
+     * @param {number} width - 新しい幅（ピクセル単位）
+     * @param {boolean} [final=true] - 確定した高さかどうか
+     * @returns {boolean} 送信した場合はtrue
+     */
+    function notifyParentHeightChange(height, width, final = true) {
+        try {
+            if (!parentOrigin) {
+                log('debug', 'Handshake not completed yet, height-change deferred');
+                return false;
+            }
+            messageCount++;
+            const payload = { height: height, width: width, final: final };
+            if (pageState) {
+                payload.state = Object.assign({}, pageState);
+            }
+            const message = endpoint.send('height-change', payload);
+            stateChanged = false;
+            log('debug', `Sent postMessage #${messageCount} to ${parentOrigin}:`, message);
+            return true;
+        } catch (e) {
+            log('error', 'Could not send message to parent:', e);
+            return false;
+        }
+    }
+
+    /**
+     * scheduleMeasure(trigger)
+     *
+     * 次のアニメーションフレームで高さを測定するよう予約します。
+     * 同じフレーム内に複数の検出（ResizeObserver、resize、load など）が発生しても、
+     * 測定（レイアウトの読み取り）は1回にまとめられます。
+     *
+     * @param {string} trigger - 測定のきっかけ（'initial', 'resize-observer', 'mutation', 'resize', 'load', 'interval'）
+     * @param {number} [triggerTime] - きっかけが発生した時刻（performance.now()）。省略時は現在時刻
+     */
+    function scheduleMeasure(trigger, triggerTime) {
+        if (!running || paused) {
+            return;
+        }
+        // 最初に発生したきっかけと時刻を記録する（ログ・送信までの時間の計算用）
+        if (!pendingTrigger) {
+            pendingTrigger = trigger;
+            pendingTriggerTime = triggerTime !== undefined ? triggerTime : performance.now();
+        }
+        if (frameRequest !== null) {
+            return;
+        }
+        frameRequest = requestAnimationFrame(function () {
+            const currentTrigger = pendingTrigger;
+            const triggerTime = pendingTriggerTime;
+            frameRequest = null;
+            pendingTrigger = null;
+            // transition 中は streamTransitionFrame() が測定するため、ここでは何もしない
+            if (activeTransitions.size > 0) {
+                return;
+            }
+            updateHeight(currentTrigger, { triggerTime: triggerTime });
+        });
+    }
+
+    /**
+     * parseTime(value)
+     *
+     * CSSの時間指定（'0.5s', '200ms'）をミリ秒に変換します。
+     */
+    function parseTime(value) {
+        const number = parseFloat(value);
+        if (isNaN(number)) {
+            return 0;
+        }
+        return value.trim().slice(-2) === 'ms' ? number : number * 1000;
+    }
+
+    /**
+     * readTransitionTiming(element, propertyName)
+     *
+     * 要素の計算済みスタイルから、指定プロパティの transition の時間とイージングを読み取ります。
+     * transition-* はカンマ区切りのリストで、プロパティの位置に対応する値を使用します
+     * （cubic-bezier(...) 内のカンマでは分割しない）。
+     *
+     * @returns {Object} { property, duration, delay, easing }（時間はミリ秒）
+     */
+    function readTransitionTiming(element, propertyName) {
+        const style = getComputedStyle(element);
+        const splitList = function (value) {
+            return value.split(/,(?![^(]*\))/).map(function (item) {
+                return item.trim();
+            });
+        };
+        const properties = splitList(style.transitionProperty);
+        const durations = splitList(style.transitionDuration);
+        const delays = splitList(style.transitionDelay);
+        const easings = splitList(style.transitionTimingFunction);
+
+        let index = properties.indexOf(propertyName);
+        if (index === -1) {
+            index = Math.max(properties.indexOf('all'), 0);
+        }
+        return {
+            property: propertyName,
+            duration: parseTime(durations[index % durations.length]),
+            delay: parseTime(delays[index % delays.length]),
+            easing: easings[index % easings.length]
+        };
+    }
+
+    function matchesTransitionTarget(element) {
+        return !!options.transitionSelector &&
+            element instanceof Element &&
+            element.matches(options.transitionSelector);
+    }
+
+    /**
+     * handleTransitionStart(event)
+     *
+     * 対象要素（transitionSelector）の transition 開始を検出し、
+     * 親サイトに transition-start（時間とイージング）を送信して、途中経過の送信を開始します。
+     *
+     * transition-start の payload:
+     * { property, duration, delay, easing, frameInterval }
+     */
+    function handleTransitionStart(event) {
+        if (!running || !matchesTransitionTarget(event.target)) {
+            return;
+        }
+        const wasStreaming = activeTransitions.size > 0;
+        if (!activeTransitions.has(event.target)) {
+            activeTransitions.set(event.target, new Set());
+        }
+        activeTransitions.get(event.target).add(event.propertyName);
+
+        const timing = readTransitionTiming(event.target, event.propertyName);
+        // transitionend が発火しない場合（要素の削除など）の保険。
+        // 実行中のより長い transition の途中で発火しないよう、タイマーは延長のみ行い短縮はしない
+        const deadline = performance.now() + timing.duration + timing.delay + 200;
+        if (!transitionSafetyTimer || deadline > transitionSafetyDeadline) {
+            if (transitionSafetyTimer) {
+                clearTimeout(transitionSafetyTimer);
+            }
+            transitionSafetyDeadline = deadline;
+            transitionSafetyTimer = setTimeout(function () {
+                log('info', 'Transition safety timeout, finishing stream');
+                activeTransitions.clear();
+                finishTransitionStream();
+            }, deadline - performance.now());
+        }
+
+        if (!wasStreaming) {
+            log('debug', 'Transition started, streaming heights:', timing);
+            send('transition-start', Object.assign({ frameInterval: options.transitionFrameInterval }, timing));
+            lastStreamTime = 0;
+            streamFrameRequest = requestAnimationFrame(streamTransitionFrame);
+        }
+    }
+
+    /**
+     * handleTransitionEnd(event)
+     *
+     * transitionend / transitioncancel を受け取り、すべての transition が終わったら
+     * 確定した高さ（final: true）を送信します。
+     */
+    function handleTransitionEnd(event) {
+        const properties = activeTransitions.get(event.target);
+        if (!properties) {
+            return;
+        }
+        properties.delete(event.propertyName);
+        if (properties.size === 0) {
+            activeTransitions.delete(event.target);
+        }
+        if (activeTransitions.size === 0) {
+            finishTransitionStream();
+        }
+    }
+
+    /**
+     * streamTransitionFrame(time)
+     *
+     * transition 中に毎フレーム呼ばれ、transitionFrameInterval ごとに
+     * 途中経過の高さ（final: false）を送信します（高さが変わった場合のみ）。
+     */
+    function streamTransitionFrame(time) {
+        streamFrameRequest = null;
+        if (!running || activeTransitions.size === 0) {
+            return;
+        }
+        if (time - lastStreamTime >= options.transitionFrameInterval) {
+            lastStreamTime = time;
+            updateHeight('transition', { final: false, triggerTime: time });
+        }
+        streamFrameRequest = requestAnimationFrame(streamTransitionFrame);
+    }
+
+    /**
+     * finishTransitionStream()
+     *
+     * 途中経過の送信を終了し、高さが変わっていなくても final: true の height-change を必ず送信します。
+     *
+     * @param {boolean} [sendFinal=true] - falseの場合はタイマーとフレームの解放のみ行う（停止時用）
+     */
+    function finishTransitionStream(sendFinal = true) {
+        if (streamFrameRequest !== null) {
+            cancelAnimationFrame(streamFrameRequest);
+            streamFrameRequest = null;
+        }
+        if (transitionSafetyTimer) {
+            clearTimeout(transitionSafetyTimer);
+            transitionSafetyTimer = null;
+            transitionSafetyDeadline = 0;
+        }
+        if (!running || !sendFinal) {
+            return;
+        }
+        log('debug', 'Transition finished, sending final height');
+        updateHeight('transition-end', { force: true });
+    }
+
+    /**
+     * resolveStrategy()
+     *
+     * 使用する検出方法を決定します（機能検出）。
+     *
+     * - 'resize-observer': ResizeObserver で <html>・<body>・body の子要素（と target）のサイズ変化を監視する
+     *                      画像やWebフォントの遅延読み込みによる変化も即座に検出できる
+     * - 'mutation':        ResizeObserver が使えない場合。MutationObserver + resize + load イベント
+     * - 'polling':         どちらも使えない場合。resize イベント + 定期チェックのみ
+     *
+     * @returns {string} 検出方法
+     */
+    function resolveStrategy() {
+        if (options.strategy !== 'mutation' && typeof ResizeObserver !== 'undefined') {
+            return 'resize-observer';
+        }
+        if (options.strategy === 'resize-observer') {
+            log('warn', 'ResizeObserver not available in this browser, falling back');
+        }
+        if (typeof MutationObserver !== 'undefined') {
+            return 'mutation';
+        }
+        log('warn', 'MutationObserver not available in this browser, falling back to polling');
+        return 'polling';
+    }
+
+    function handleWindowResize() {
+        scheduleMeasure('resize');
+    }
+
+    function handleWindowLoad() {
+        scheduleMeasure('load');
+    }
+
+    /**
+     * handleResourceLoad(event)
+     *
+     * 画像などのサブリソースの読み込み完了を検出します（load はバブリングしないため capture で受け取る）。
+     * ResizeObserver が使えない場合に、遅延読み込みされた画像による高さの変化を拾うために使用します。
+     */
+    function handleResourceLoad(event) {
+        if (event.target !== window && event.target !== document) {
+            scheduleMeasure('load');
+        }
+    }
+
+    function handleFontsLoaded() {
+        scheduleMeasure('load');
+    }
+
+    /**
+     * startResizeObserver()
+     *
+     * <html>・<body>・body の子要素（と target）のサイズ変化を監視します。
+     * observe() 直後にも1回通知されるため、初回の測定もここで行われます。
+     *
+     * 注意: body に min-height: 100vh が指定されている場合、iframe が内容に合わせて広がった後は
+     * <html>・<body> が表示領域の高さに固定され、内容が縮んでもサイズが変わらない。
+     * そのため body の子要素も監視し、子要素の追加・削除に合わせて監視対象を更新する。
+     */
+    function startResizeObserver() {
+        resizeObserver = new ResizeObserver(function () {
+            scheduleMeasure('resize-observer');
+        });
+        resizeObserver.observe(document.documentElement);
+        if (document.body) {
+            resizeObserver.observe(document.body);
+            Array.prototype.forEach.call(document.body.children, function (child) {
+                resizeObserver.observe(child);
+            });
+            bodyChildObserver = new MutationObserver(function (records) {
+                records.forEach(function (record) {
+                    record.addedNodes.forEach(function (node) {
+                        if (node instanceof Element) {
+                            resizeObserver.observe(node);
+                        }
+                    });
+                    record.removedNodes.forEach(function (node) {
+                        if (node instanceof Element) {
+                            resizeObserver.unobserve(node);
+                        }
+                    });
+                });
+                // 削除された子要素は ResizeObserver に通知されないため、ここで測定する
+                scheduleMeasure('mutation');
+            });
+            bodyChildObserver.observe(document.body, { childList: true });
+        }
+        if (options.target) {
+            resizeObserver.observe(options.target);
+        }
+        log('debug', 'ResizeObserver attached');
+    }
+
+    /**
+     * startMutationObserver()
+     *
+     * DOMの変更（子要素の追加・削除、class/style属性の変更）を監視し、
+     * デバウンス後に高さを再計算します。
+     */
+    function startMutationObserver() {
+        try {
+            observer = new MutationObserver(function () {
+                mutationCount++;
+
+                // デバウンス処理: 短時間に複数回発火した場合、最後の1回だけ実行
+                if (mutationDebounceTimer) {
+                    clearTimeout(mutationDebounceTimer);
+                } else {
+                    mutationStartTime = performance.now();
+                }
+                mutationDebounceTimer = setTimeout(function () {
+                    const startTime = mutationStartTime;
+                    mutationDebounceTimer = null;
+                    mutationStartTime = null;
+                    scheduleMeasure('mutation', startTime);
+                }, options.mutationDebounce);
+            });
+
+            observer.observe(options.target || document.body, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['class', 'style']
+            });
+            log('debug', 'MutationObserver attached');
+        } catch (e) {
+            log('warn', 'MutationObserver not supported:', e);
+            observer = null;
+        }
+    }
+
+    /**
+     * startFallbackListeners()
+     *
+     * ResizeObserver が使えない場合の検出方法です。
+     * - window の resize イベント
+     * - 画像などの読み込み完了（capture）
+     * - Webフォントの読み込み完了（document.fonts）
+     * - 定期チェック（最後の手段。checkInterval: 0 で無効）
+     */
+    function startFallbackListeners() {
+        if (options.observeResize) {
+            window.addEventListener('resize', handleWindowResize);
+        }
+        document.addEventListener('load', handleResourceLoad, true);
+        if (document.fonts && typeof document.fonts.addEventListener === 'function') {
+            document.fonts.addEventListener('loadingdone', handleFontsLoaded);
+        }
+        if (options.checkInterval > 0) {
+            heightCheckInterval = setInterval(function () {
+                scheduleMeasure('interval');
+            }, options.checkInterval);
+        }
+    }
+
+    /**
+     * attachDetectors()
+     *
+     * 検出方法を決定し、オブザーバー・リスナー・タイマーを登録します。
+     */
+    function attachDetectors() {
+        activeStrategy = resolveStrategy();
+        log('info', `Using detection strategy: ${activeStrategy}`);
+
+        if (activeStrategy === 'resize-observer') {
+            startResizeObserver();
+        } else {
+            if (activeStrategy === 'mutation') {
+                startMutationObserver();
+            }
+            startFallbackListeners();
+        }
+
+        // transition 中の高さの逐次送信（transition イベントはバブリングする）
+        document.addEventListener('transitionstart', handleTransitionStart);
+        document.addEventListener('transitionend', handleTransitionEnd);
+        document.addEventListener('transitioncancel', handleTransitionEnd);
+
+        // すべてのリソースの読み込み完了時にも確認する
+        if (document.readyState !== 'complete') {
+            window.addEventListener('load', handleWindowLoad);
+        }
+    }
+
+    /**
+     * detachDetectors()
+     *
+     * attachDetectors() で登録したオブザーバー・リスナー・タイマーと、
+     * 予約中の測定・transition 中の逐次送信をすべて解放します（final の送信は行いません）。
+     */
+    function detachDetectors() {
+        window.removeEventListener('resize', handleWindowResize);
+        window.removeEventListener('load', handleWindowLoad);
+        document.removeEventListener('load', handleResourceLoad, true);
+        if (document.fonts && typeof document.fonts.removeEventListener === 'function') {
+            document.fonts.removeEventListener('loadingdone', handleFontsLoaded);
+        }
+        document.removeEventListener('transitionstart', handleTransitionStart);
+        document.removeEventListener('transitionend', handleTransitionEnd);
+        document.removeEventListener('transitioncancel', handleTransitionEnd);
+        if (resizeObserver) {
+            resizeObserver.disconnect();
+            resizeObserver = null;
+        }
+        if (bodyChildObserver) {
+            bodyChildObserver.disconnect();
+            bodyChildObserver = null;
+        }
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+        if (mutationDebounceTimer) {
+            clearTimeout(mutationDebounceTimer);
+            mutationDebounceTimer = null;
+            mutationStartTime = null;
+        }
+        if (heightCheckInterval) {
+            clearInterval(heightCheckInterval);
+            heightCheckInterval = null;
+        }
+        if (frameRequest !== null) {
+            cancelAnimationFrame(frameRequest);
+            frameRequest = null;
+            pendingTrigger = null;
+        }
+        activeTransitions.clear();
+        finishTransitionStream(false);
+        activeStrategy = null;
+    }
+
+    /**
+     * pause(reason)
+     *
+     * ページが非表示の間（visibilitychange で hidden、pagehide）、測定を一時停止します。
+     * 非表示の間は requestAnimationFrame も止まるため、検出だけが溜まらないように検出自体を解放します。
+     */
+    function pause(reason) {
+        if (!running || paused) {
+            return;
+        }
+        paused = true;
+        detachDetectors();
+        log('info', `Paused (${reason})`);
+    }
+
+    /**
+     * resume(reason, force)
+     *
+     * 一時停止していた測定を再開し、高さを再同期します。
+     * bfcache から復元された場合（pageshow で persisted）は、親ページの状態が
+     * 変わっている可能性があるため、高さが同じでも必ず送信します。
+     */
+    function resume(reason, force) {
+        if (!running || !paused) {
+            return;
+        }
+        paused = false;
+        attachDetectors();
+        log('info', `Resumed (${reason})`);
+        if (force) {
+            updateHeight('resume', { force: true });
+        } else {
+            scheduleMeasure('resume');
+        }
+    }
+
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            pause('hidden');
+        } else {
+            resume('visible', false);
+        }
+    }
+
+    function handlePageHide() {
+        pause('pagehide');
+    }
+
+    function handlePageShow(event) {
+        resume(event.persisted ? 'restored from bfcache' : 'pageshow', event.persisted);
+    }
+
+    /**
+     * getDocumentOffset(element)
+     *
+     * 要素の位置と大きさを、子ページの文書の左上からの座標で返します。
+     */
+    function getDocumentOffset(element) {
+        const rect = element.getBoundingClientRect();
+        return {
+            top: Math.round(rect.top + window.scrollY),
+            left: Math.round(rect.left + window.scrollX),
+            height: Math.round(rect.height),
+            width: Math.round(rect.width)
+        };
+    }
+
+    function prefersReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * scrollIntoView(element, scrollOptions)
+     *
+     * 親ページに scroll-to を送信し、要素が表示されるよう親ページのウィンドウをスクロールさせます。
+     * iframe 内では element.scrollIntoView() が何もしないため、こちらを使用します。
+     *
+     * scroll-to の payload:
+     * { top, left, height, width, block: 'start' | 'nearest', behavior: 'auto' | 'smooth' }
+     * - top, left, height, width: 子ページの文書の左上からの要素の位置と大きさ（px）
+     * - block: 'start' は要素の上端を表示領域の上端に合わせる。'nearest' は見えていない場合のみスクロールする
+     *
+     * @param {Element} element - 表示する要素
+     * @param {Object} [scrollOptions]
+     * @param {string} [scrollOptions.block='start'] - 'start' | 'nearest'
+     * @param {string} [scrollOptions.behavior] - 'auto' | 'smooth'（省略時は prefers-reduced-motion に応じて決める）
+     * @returns {boolean} 送信した場合はtrue（ハンドシェイク前はfalse）
+     */
+    function scrollIntoView(element, scrollOptions) {
+        const settings = scrollOptions || {};
+        const payload = Object.assign(getDocumentOffset(element), {
+            block: settings.block === 'nearest' ? 'nearest' : 'start',
+            behavior: settings.behavior || (prefersReducedMotion() ? 'auto' : 'smooth')
+        });
+        const sent = send('scroll-to', payload);
+        if (sent) {
+            log('debug', 'Requested parent scroll:', payload);
+        }
+        return sent;
+    }
+
+    /**
+     * getParentViewport(timeout)
+     *
+     * 親ページの表示領域の大きさとスクロール位置を取得します（get-viewport リクエスト）。
+     * 応答の frameTop / frameLeft（親ページの表示領域の左上から見た iframe の内容の位置）から、
+     * 子ページの文書のうち親ページで見えている範囲（visibleTop 〜 visibleBottom）を計算して追加します。
+     *
+     * @returns {Promise<Object>} { width, height, scrollX, scrollY, frameTop, frameLeft, visibleTop, visibleBottom }
+     */
+    function getParentViewport(timeout) {
+        return request('get-viewport', {}, timeout).then(function (viewport) {
+            return Object.assign({}, viewport, {
+                visibleTop: Math.max(0, -viewport.frameTop),
+                visibleBottom: Math.max(0, Math.min(document.documentElement.scrollHeight, viewport.height - viewport.frameTop))
+            });
+        });
+    }
+
+    /**
+     * ハッシュは「アンカー」と「key=value のパラメータ」を & で区切って持つことがあります
+     * （ChildExpandToggles の urlMode: 'hash' が #open=id1,id2 を保存するため。例: #faq&open=faq-state）。
+     * '=' を含まない最初の部分をアンカーとして扱います。
+     */
+    function splitHash(hash) {
+        const parts = hash ? hash.replace(/^#/, '').split('&') : [];
+        return {
+            anchor: parts.filter(function (part) {
+                return part !== '' && part.indexOf('=') === -1;
+            })[0] || '',
+            params: parts.filter(function (part) {
+                return part.indexOf('=') !== -1;
+            })
+        };
+    }
+
+    /**
+     * withAnchor(anchorHash)
+     *
+     * 現在のハッシュのパラメータ（#open=... など）を残したまま、アンカーだけを置き換えたハッシュを返します。
+     */
+    function withAnchor(anchorHash) {
+        const anchor = splitHash(anchorHash).anchor;
+        return '#' + [anchor].concat(splitHash(window.location.hash).params).filter(Boolean).join('&');
+    }
+
+    function findAnchorTarget(hash) {
+        let id = splitHash(hash).anchor;
+        if (!id) {
+            return null;
+        }
+        try {
+            id = decodeURIComponent(id);
+        } catch (e) {
+            // 不正なエンコードの場合はそのまま使う
+        }
+        return document.getElementById(id) || document.getElementsByName(id)[0] || null;
+    }
+
+    // ページ内リンクで移動したフォーカスに対して、重ねて scroll-to を送らないようにする
+    let anchorFocusTarget = null;
+    // 読み込み時のハッシュ（ディープリンク）を処理済みかどうか（再ハンドシェイクで繰り返さない）
+    let initialHashHandled = false;
+
+    /**
+     * handleAnchorClick(event)
+     *
+     * 同じ文書内へのリンク（#id）のクリックを検出し、ブラウザの既定の動作（iframe 内のスクロール）の代わりに
+     * 親ページをスクロールさせます。リンク先の要素にはフォーカスを移動します（支援技術の読み上げ位置のため）。
+     * 既定の動作を止めるとURLのハッシュが変わらないため、history.pushState() で設定します
+     * （リンクの共有や、戻る操作での hashchange のため）。ハンドシェイク前は既定の動作のままにします。
+     */
+    function handleAnchorClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+        const link = event.target instanceof Element && event.target.closest('a[href]');
+        if (!link || !parentOrigin) {
+            return;
+        }
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin || url.pathname !== window.location.pathname ||
+            url.search !== window.location.search) {
+            return;
+        }
+        const target = findAnchorTarget(url.hash);
+        if (!target) {
+            return;
+        }
+        event.preventDefault();
+        // pushState() では hashchange が発火しないため、handleHashChange() と重ねて送信されない
+        // ハッシュに保存された展開状態（#open=...）は残す
+        const hash = withAnchor(url.hash);
+        if (hash !== window.location.hash) {
+            history.pushState(null, '', hash);
+        }
+        scrollIntoView(target, { block: 'start' });
+
+        if (!target.hasAttribute('tabindex') && target.tabIndex < 0) {
+            target.setAttribute('tabindex', '-1');
+        }
+        anchorFocusTarget = target;
+        target.focus({ preventScroll: true });
+        anchorFocusTarget = null;
+    }
+
+    /**
+     * handleHashChange()
+     *
+     * スクリプトや履歴の移動でハッシュが変わった場合も、対応する要素まで親ページをスクロールさせます。
+     */
+    function handleHashChange() {
+        const target = findAnchorTarget(window.location.hash);
+        if (target) {
+            scrollIntoView(target, { block: 'start' });
+        }
+    }
+
+    /**
+     * scrollToInitialHash()
+     *
+     * 読み込み時のURLのハッシュ（index.html#faq）の要素まで、親ページを1回だけスクロールさせます。
+     * ブラウザによる読み込み時のスクロールは iframe 内で行われるため、親ページには反映されません。
+     * ハンドシェイクと start() のどちらが先でも動作するよう、両方から呼ばれます。
+     */
+    function scrollToInitialHash() {
+        if (initialHashHandled || !running || !parentOrigin || !options.scrollCoordination || window.parent === window) {
+            return;
+        }
+        initialHashHandled = true;
+        handleHashChange();
+    }
+
+    /**
+     * handleFocusIn(event)
+     *
+     * フォーカスの移動（キーボード操作や、展開後のフォーカスの移動など）を検出し、
+     * フォーカスされた要素が親ページで見えていない場合のみスクロールさせます（block: 'nearest'）。
+     */
+    function handleFocusIn(event) {
+        if (event.target === anchorFocusTarget || !(event.target instanceof Element)) {
+            return;
+        }
+        scrollIntoView(event.target, { block: 'nearest', behavior: 'auto' });
+    }
+
+    function attachScrollCoordination() {
+        // iframe 内でない場合は、ブラウザ自身のスクロールで十分
+        if (!options.scrollCoordination || window.parent === window) {
+            return;
+        }
+        document.addEventListener('click', handleAnchorClick);
+        document.addEventListener('focusin', handleFocusIn);
+        window.addEventListener('hashchange', handleHashChange);
+        scrollToInitialHash();
+    }
+
+    function detachScrollCoordination() {
+        document.removeEventListener('click', handleAnchorClick);
+        document.removeEventListener('focusin', handleFocusIn);
+        window.removeEventListener('hashchange', handleHashChange);
+    }
+
+    /**
+     * start(userOptions)
+     *
+     * 高さの監視を開始します。既に開始済みの場合は何もしません。
+     * destroy() の後に呼んだ場合は、親ページからのメッセージの受信も再開します。
+     *
+     * @param {Object} [userOptions] - DEFAULT_OPTIONS を上書きするオプション
+     */
+    function start(userOptions) {
+        if (running) {
+            log('warn', 'ChildHeightSync already started');
+            return;
+        }
+        options = Object.assign({}, DEFAULT_OPTIONS, userOptions || {});
+        running = true;
+        paused = false;
+        if (options.logLevel && !queryLogLevel) {
+            setLogLevel(options.logLevel);
+        }
+        if (options.logBufferSize !== null) {
+            setLogBufferSize(options.logBufferSize);
+        }
+        log('info', 'ChildHeightSync starting with options:', options);
+
+        if (destroyed) {
+            destroyed = false;
+            window.addEventListener('message', handleParentMessage);
+        }
+
+        // start() で指定された許可リストに、既に確定した親オリジンが含まれない場合は破棄する
+        if (parentOrigin && !isOriginAllowed(parentOrigin)) {
+            log('warn', `Parent origin ${parentOrigin} is not allowed, resetting handshake`);
+            parentOrigin = null;
+            channelNonce = null;
+        }
+
+        // ページの表示状態の変化（タブの切り替え、bfcache）
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', handlePageHide);
+        window.addEventListener('pageshow', handlePageShow);
+        attachScrollCoordination();
+
+        if (document.visibilityState === 'hidden') {
+            // 非表示のまま開始した場合は、表示されたときに検出を開始して測定する
+            paused = true;
+            log('info', 'Started while hidden, waiting until visible');
+            return;
+        }
+
+        attachDetectors();
+
+        // 初回の高さ通知（次のフレームで測定する）
+        scheduleMeasure('initial');
+    }
+
+    /**
+     * stop()
+     *
+     * 監視を停止し、オブザーバー・タイマー・リスナーをすべて解放します。
+     * 親ページとの接続（ハンドシェイク、コマンドの受信）は維持されます。
+     * 再度 start() を呼ぶことで監視を再開できます。
+     */
+    function stop() {
+        if (!running) {
+            return;
+        }
+        detachDetectors();
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        window.removeEventListener('pagehide', handlePageHide);
+        window.removeEventListener('pageshow', handlePageShow);
+        detachScrollCoordination();
+        running = false;
+        paused = false;
+        log('info', 'ChildHeightSync stopped');
+    }
+
+    /**
+     * destroy()
+     *
+     * すべてを解放します（SPAでウィジェットをアンマウントする場合など）。
+     * - stop() と同じく、オブザーバー・タイマー・リスナーを解放する
+     * - 親ページに detached を送信する（親ページは iframe の高さの追従をやめることができる）
+     * - 親ページからのメッセージの受信をやめ、応答待ちのリクエストを reject する
+     *
+     * ハンドシェイクの結果は保持されるため、再度 start() を呼べば同じ親ページへの送信を再開できます。
+     */
+    function destroy() {
+        if (destroyed) {
+            return;
+        }
+        stop();
+        send('detached', {});
+        window.removeEventListener('message', handleParentMessage);
+        endpoint.dispose();
+        destroyed = true;
+        log('info', 'ChildHeightSync destroyed');
+    }
+
+    /**
+     * forceUpdate()
+     *
+     * 高さを即座に再計算し、変化していれば親サイトに通知します。
+     * CSS transition 完了後など、呼び出し側が変化のタイミングを知っている場合に使用します。
+     * 一時停止中は何もしません（resume() 時に測定し、変化していれば通知されます）。
+     */
+    function forceUpdate() {
+        if (!running) {
+            log('warn', 'forceUpdate() called before start()');
+            return;
+        }
+        if (paused) {
+            log('debug', 'forceUpdate() ignored while paused; the height is measured on resume');
+            return;
+        }
+        updateHeight('force');
+    }
+
+    /**
+     * setState(state)
+     *
+     * height-change に含めて親ページに通知するページの状態（展開/折りたたみなど）を設定します。
+     * 既存の状態に浅くマージされ、次の height-change で送信されます。
+     * 高さが変わらない場合でも、状態が変わっていれば次の測定（forceUpdate() など）で送信されます。
+     *
+     * @param {Object} state - JSONに変換できる値を持つオブジェクト
+     */
+    function setState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new TypeError('setState() requires an object');
+        }
+        const nextState = Object.assign({}, pageState, state);
+        if (JSON.stringify(nextState) !== JSON.stringify(pageState)) {
+            pageState = nextState;
+            stateChanged = true;
+        }
+    }
+
+    /**
+     * getState()
+     *
+     * @returns {Object|null} setState() で設定された状態（設定されていない場合はnull）
+     */
+    function getState() {
+        return pageState ? Object.assign({}, pageState) : null;
+    }
+
+    /**
+     * getLastHeight()
+     *
+     * @returns {number} 最後に通知した高さ（まだ通知していない場合は0）
+     */
+    function getLastHeight() {
+        return lastHeight;
+    }
+
+    /**
+     * getLastSize()
+     *
+     * @returns {Object} 最後に通知した { height, width }
+     */
+    function getLastSize() {
+        return { height: lastHeight, width: lastWidth };
+    }
+
+    /**
+     * getStrategy()
+     *
+     * @returns {string|null} 使用中の検出方法（'resize-observer' | 'mutation' | 'polling'）。停止中はnull
+     */
+    function getStrategy() {
+        return activeStrategy;
+    }
+
+    /**
+     * on(type, handler)
+     *
+     * 親ページからのコマンドのハンドラを登録します（既存のハンドラは上書きされます）。
+     * ハンドラの戻り値（またはPromiseの解決値）が response として親ページに返されます。
+     * 例外を投げた場合は HANDLER_ERROR の error が返されます。
+     *
+     * @param {string} type - メッセージの種類（例: 'set-expanded'）
+     * @param {Function} handler - function (payload, message)
+     */
+    function on(type, handler) {
+        endpoint.handlers[type] = handler;
+    }
+
+    /**
+     * off(type)
+     *
+     * on() で登録したハンドラを解除します。
+     */
+    function off(type) {
+        delete endpoint.handlers[type];
+    }
+
+    /**
+     * send(type, payload)
+     *
+     * 親ページにメッセージを送信します（応答は待ちません）。
+     *
+     * @returns {boolean} 送信した場合はtrue（ハンドシェイク前はfalse）
+     */
+    function send(type, payload) {
+        if (!parentOrigin) {
+            return false;
+        }
+        endpoint.send(type, payload);
+        return true;
+    }
+
+    /**
+     * request(type, payload, timeout)
+     *
+     * 親ページにリクエストを送信し、応答の payload で解決される Promise を返します。
+     * ハンドシェイク前に呼ばれた場合はすぐに reject されます。
+     *
+     * @returns {Promise<Object>}
+     */
+    function request(type, payload, timeout) {
+        if (!parentOrigin) {
+            return Promise.reject(new Error('Handshake with parent not completed'));
+        }
+        return endpoint.request(type, payload, timeout);
+    }
+
+    window.ChildHeightSync = {
+        start: start,
+        stop: stop,
+        destroy: destroy,
+        forceUpdate: forceUpdate,
+        getLastHeight: getLastHeight,
+        getLastSize: getLastSize,
+        measureWith: measureWith,
+        getStrategy: getStrategy,
+        setState: setState,
+        getState: getState,
+        scrollIntoView: scrollIntoView,
+        getParentViewport: getParentViewport,
+        setLogLevel: setLogLevel,
+        getLogs: getLogs,
+        logger: logger,
+        addMonitor: addMonitor,
+        on: on,
+        off: off,
+        send: send,
+        request: request
+    };
+})();
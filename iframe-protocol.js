@@ -0,0 +1,314 @@
+/**
+ * Iframe Protocol
+ *
+ * 親ページ（parent-height-sync.js）と子ページ（child-height-sync.js）の間で使用する、
+ * バージョン付きの双方向メッセージプロトコルです。
+ * 両方のライブラリより先に読み込んでください。
+ *
+ *   <script src="iframe-protocol.js"></script>
+ *   <script src="child-height-sync.js"></script>
+ *
+ * メッセージ形式（エンベロープ）:
+ * {
+ *   protocol: 'iframe-height-sync',  // このプロトコルのメッセージであることを示す
+ *   version: 1,                      // プロトコルのバージョン
+ *   id: 'k3x9-12',                   // メッセージID（送信側で一意）
+ *   type: 'height-change',           // メッセージの種類
+ *   payload: { height: 640 },        // 種類ごとのデータ
+ *   nonce: '...',                    // ハンドシェイクで決めたチャネルID（init 以外は必須）
+ *   expectReply: true,               // 任意: trueの場合、受信側は response か error を返す
+ *   replyTo: 'k3x9-11'               // 任意: response / error の場合、対応するリクエストのID
+ * }
+ *
+ * メッセージの種類:
+ *
+ *   親 → 子
+ *   - init            { nonce, state? }          ハンドシェイクの開始
+ *                                                state は子ページに復元させる初期状態（set-state と同じ形式）
+ *   - request-height  {}                         → response { height, width }
+ *   - set-expanded    { expanded: boolean, section?: string }
+ *                                                → response（子ページが対応している場合）
+ *                                                section は展開できるパネルのIDのみ（それ以外は error）
+ *   - set-state       { state, animate? }        → response { state }（子ページが対応している場合）
+ *                                                animate: false の場合はアニメーションなしで状態を切り替える
+ *   - set-theme       { theme: string }          → response { theme }
+ *   - set-log-level   { level: string }          → response { level }（debug / info / warn / error / off）
+ *   - dump-logs       {}                         → response { level, bufferSize, entries }
+ *   - ping            {}                         → response { pong: true, time }
+ *
+ *   子 → 親
+ *   - init-ack        {}                         ハンドシェイクの完了
+ *   - height-change   { height, width, final, state? }
+ *                                                高さと幅の変化（final: false は transition 中の途中経過）
+ *                                                state は子ページの setState() で設定された状態
+ *                                                （index.html では { expanded, openSections }）
+ *   - transition-start { property, duration, delay, easing, frameInterval }
+ *                                                transition の開始（時間はミリ秒）
+ *   - detached        {}                         子ページの destroy()（高さの通知を終了した）
+ *   - benchmark-result { config, timeToFirstHeightMessage, messageCount, ... }
+ *                                                performance.html のベンチマーク結果
+ *   - scroll-to       { top, left, height, width, block, behavior }
+ *                                                親ページのウィンドウのスクロール（位置は子ページの文書内の座標）
+ *                                                block: 'start' | 'nearest'、behavior: 'auto' | 'smooth'
+ *   - get-viewport    {}                         → response { width, height, scrollX, scrollY, frameTop, frameLeft }
+ *   - ping            {}                         → response { pong: true, time }
+ *
+ *   共通
+ *   - response        <任意>                     リクエストへの応答（replyTo 付き）
+ *   - error           { code, message }          エラー応答（replyTo 付き、不明な場合は null）
+ *
+ * エラーコード（ERROR_CODES）:
+ * - MALFORMED_MESSAGE    必須フィールドが欠けている、または型が不正
+ * - UNSUPPORTED_VERSION  プロトコルのバージョンが異なる
+ * - UNKNOWN_TYPE         受信側が対応していない種類のメッセージ
+ * - HANDLER_ERROR        受信側のハンドラで例外が発生した
+ * - TIMEOUT              応答が時間内に返ってこなかった（送信側でのみ発生）
+ */
+(function () {
+    const PROTOCOL = 'iframe-height-sync';
+    const VERSION = 1;
+
+    const ERROR_CODES = {
+        MALFORMED_MESSAGE: 'MALFORMED_MESSAGE',
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+        UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+        HANDLER_ERROR: 'HANDLER_ERROR',
+        TIMEOUT: 'TIMEOUT'
+    };
+
+    // メッセージIDの接頭辞: ページごとにランダムにして、親子間でIDが衝突しないようにする
+    const idPrefix = Math.random().toString(36).slice(2, 6);
+    let idSequence = 0;
+
+    /**
+     * createMessage(type, payload, extra)
+     *
+     * プロトコルのエンベロープを作成します。
+     *
+     * @param {string} type - メッセージの種類
+     * @param {*} [payload] - メッセージのデータ
+     * @param {Object} [extra] - エンベロープに追加するフィールド（expectReply, replyTo など）
+     * @returns {Object} エンベロープ
+     */
+    function createMessage(type, payload, extra) {
+        idSequence++;
+        return Object.assign({
+            protocol: PROTOCOL,
+            version: VERSION,
+            id: `${idPrefix}-${idSequence}`,
+            type: type,
+            payload: payload === undefined ? {} : payload
+        }, extra || {});
+    }
+
+    /**
+     * isProtocolMessage(data)
+     *
+     * このプロトコルのメッセージかどうかを判定します。
+     * 他のライブラリやブラウザ拡張からのメッセージを区別するために使用します。
+     */
+    function isProtocolMessage(data) {
+        return !!data && typeof data === 'object' && data.protocol === PROTOCOL;
+    }
+
+    /**
+     * validateMessage(data)
+     *
+     * エンベロープの形式を検証します。
+     *
+     * @param {Object} data - 受信したメッセージ（isProtocolMessage が true のもの）
+     * @returns {Object|null} 問題がある場合は { code, message }、問題がなければ null
+     */
+    function validateMessage(data) {
+        if (data.version !== VERSION) {
+            return {
+                code: ERROR_CODES.UNSUPPORTED_VERSION,
+                message: `Unsupported protocol version ${data.version} (expected ${VERSION})`
+            };
+        }
+        if (typeof data.id !== 'string' || typeof data.type !== 'string' || data.type === '') {
+            return {
+                code: ERROR_CODES.MALFORMED_MESSAGE,
+                message: 'Message must have string "id" and "type" fields'
+            };
+        }
+        if (data.payload === null || typeof data.payload !== 'object') {
+            return {
+                code: ERROR_CODES.MALFORMED_MESSAGE,
+                message: 'Message "payload" must be an object'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * createEndpoint(config)
+     *
+     * メッセージの送受信を行うエンドポイントを作成します。
+     * リクエストとレスポンスを id / replyTo で対応付け、Promise で結果を返します。
+     *
+     * config:
+     * - post:      function (message) 実際にメッセージを送信する関数（オリジンやnonceの付与は呼び出し側で行う）
+     * - handlers:  { type: function (payload, message) } 受信したメッセージの種類ごとのハンドラ
+     *              戻り値（またはPromiseの解決値）が response の payload になる
+     * - timeout:   request() の応答待ち時間（ms）
+     * - logPrefix: ログの接頭辞（'[PARENT]' など）
+     * - log:       function (level, message, data) ログの出力先（省略時は logPrefix 付きで console に出力）
+     *
+     * @returns {Object} { send, request, receive, handlers, dispose }
+     */
+    function createEndpoint(config) {
+        const handlers = config.handlers || {};
+        const timeout = config.timeout || 5000;
+        const logPrefix = config.logPrefix || '[PROTOCOL]';
+        const log = config.log || function (level, message, data) {
+            const method = level === 'error' ? 'error' : 'warn';
+            if (data === undefined) {
+                console[method](`${logPrefix} ${message}`);
+            } else {
+                console[method](`${logPrefix} ${message}`, data);
+            }
+        };
+        const pending = {};
+
+        function send(type, payload, extra) {
+            const message = createMessage(type, payload, extra);
+            config.post(message);
+            return message;
+        }
+
+        function replyError(replyTo, code, errorMessage) {
+            send('error', { code: code, message: errorMessage }, { replyTo: replyTo });
+        }
+
+        /**
+         * request(type, payload, requestTimeout)
+         *
+         * 応答が必要なメッセージを送信し、response の payload で解決される Promise を返します。
+         * error が返ってきた場合や、時間内に応答がない場合は Error（code 付き）で reject されます。
+         */
+        function request(type, payload, requestTimeout) {
+            return new Promise(function (resolve, reject) {
+                const message = createMessage(type, payload, { expectReply: true });
+                const timer = setTimeout(function () {
+                    delete pending[message.id];
+                    const error = new Error(`Request "${type}" timed out`);
+                    error.code = ERROR_CODES.TIMEOUT;
+                    reject(error);
+                }, requestTimeout || timeout);
+                pending[message.id] = { resolve: resolve, reject: reject, timer: timer };
+                try {
+                    config.post(message);
+                } catch (e) {
+                    clearTimeout(timer);
+                    delete pending[message.id];
+                    reject(e);
+                }
+            });
+        }
+
+        function settle(data) {
+            const entry = typeof data.replyTo === 'string' ? pending[data.replyTo] : null;
+            if (!entry) {
+                log('warn', `${data.type} for unknown request ${data.replyTo}, ignoring`);
+                return;
+            }
+            clearTimeout(entry.timer);
+            delete pending[data.replyTo];
+            if (data.type === 'response') {
+                entry.resolve(data.payload);
+            } else {
+                const error = new Error(data.payload.message || 'Request failed');
+                error.code = data.payload.code;
+                entry.reject(error);
+            }
+        }
+
+        /**
+         * receive(data)
+         *
+         * 受信したメッセージを処理します。
+         * このプロトコルのメッセージでない場合は何もせず false を返します。
+         * 形式が不正なメッセージや、対応していない種類のメッセージには error を返信します。
+         *
+         * @param {*} data - event.data
+         * @returns {boolean} このプロトコルのメッセージとして処理した場合はtrue
+         */
+        function receive(data) {
+            if (!isProtocolMessage(data)) {
+                return false;
+            }
+
+            const problem = validateMessage(data);
+            if (problem) {
+                log('warn', `Invalid message: ${problem.message}`, data);
+                // 相手のエラー応答自体が不正な場合は返信しない（バージョン違い同士でループしないように）
+                if (data.type === 'error' || data.type === 'response') {
+                    return true;
+                }
+                replyError(typeof data.id === 'string' ? data.id : null, problem.code, problem.message);
+                return true;
+            }
+
+            // response / error には返信しない（エラーの応酬でループしないように）
+            if (data.type === 'response' || data.type === 'error') {
+                settle(data);
+                return true;
+            }
+
+            const handler = handlers[data.type];
+            if (typeof handler !== 'function') {
+                log('warn', `Unknown message type "${data.type}"`);
+                replyError(data.id, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${data.type}"`);
+                return true;
+            }
+
+            Promise.resolve()
+                .then(function () {
+                    return handler(data.payload, data);
+                })
+                .then(function (result) {
+                    if (data.expectReply) {
+                        send('response', result === undefined ? {} : result, { replyTo: data.id });
+                    }
+                }, function (e) {
+                    log('error', `Handler for "${data.type}" failed:`, e);
+                    replyError(data.id, ERROR_CODES.HANDLER_ERROR, e && e.message ? e.message : String(e));
+                });
+            return true;
+        }
+
+        /**
+         * dispose()
+         *
+         * 応答待ちのリクエストをすべて reject して破棄します。
+         */
+        function dispose() {
+            Object.keys(pending).forEach(function (id) {
+                clearTimeout(pending[id].timer);
+                const error = new Error('Endpoint disposed');
+                error.code = ERROR_CODES.TIMEOUT;
+                pending[id].reject(error);
+                delete pending[id];
+            });
+        }
+
+        return {
+            send: send,
+            request: request,
+            receive: receive,
+            handlers: handlers,
+            dispose: dispose
+        };
+    }
+
+    window.IframeProtocol = {
+        PROTOCOL: PROTOCOL,
+        VERSION: VERSION,
+        ERROR_CODES: ERROR_CODES,
+        createMessage: createMessage,
+        isProtocolMessage: isProtocolMessage,
+        validateMessage: validateMessage,
+        createEndpoint: createEndpoint
+    };
+})();
@@ -0,0 +1,677 @@
+/**
+ * Parent Height Sync Library
+ *
+ * iframeを埋め込む親ページ側のライブラリです。
+ * 子ページ（child-height-sync.js）から送信される height-change メッセージを受信し、
+ * 送信元のiframeの高さを自動的に調整します。
+ *
+ * 主な機能:
+ * 1. 登録されたiframeの中から、メッセージの event.source に一致するものを特定
+ * 2. 1ページ内の複数のiframeに対応
+ * 3. 最小・最大高さのクランプ
+ * 4. オプションで高さ変更をアニメーション
+ * 5. ハンドシェイク: iframe読み込み時に init（nonce付き）を送信し、
+ *    iframeのオリジンかつ同じnonceを持つメッセージだけを受け入れる
+ * 6. スクロールの連携: 子ページからの scroll-to で親ページのウィンドウをスクロールし、
+ *    get-viewport に表示領域の大きさ・スクロール位置・iframe の位置を返す
+ *
+ * 公開API（window.ParentHeightSync）:
+ * - register(iframe, options)  iframeを登録する
+ * - unregister(iframe)         iframeの登録を解除する
+ * - autoRegister(selector)     セレクタに一致するiframeをまとめて登録する
+ * - getHeight(iframe)          最後に適用した高さを返す
+ * - getState(iframe)           子ページから通知された最新の状態（height-change の state）を返す
+ * - isConnected(iframe)        ハンドシェイクが完了しているかを返す
+ * - on(type, handler)          子ページからのメッセージのハンドラを登録する
+ * - send(iframe, type, payload)               子ページにメッセージを送信する
+ * - request(iframe, type, payload, timeout)   子ページにリクエストを送信し、応答をPromiseで受け取る
+ * - setLogLevel(level)         コンソールに出力するログレベルを変更する
+ *
+ * ログ:
+ *   既定では warn 以上のみコンソールに出力します（ホストページのコンソールを汚さないため）。
+ *   <script src="parent-height-sync.js" data-log-level="debug"></script> または
+ *   ParentHeightSync.setLogLevel('debug') で、受信した height-change などの詳細を出力できます。
+ *
+ * メッセージ形式は iframe-protocol.js を参照してください（先に読み込む必要があります）。
+ *
+ * 使用例:
+ *   <iframe src="index.html" data-height-sync data-min-height="200"></iframe>
+ *   <script src="iframe-protocol.js"></script>
+ *   <script src="parent-height-sync.js"></script>
+ *
+ *   data-height-sync 属性を持つiframeは DOMContentLoaded 時に自動登録されます。
+ */
+(function () {
+    /**
+     * デフォルトのオプション
+     *
+     * - minHeight:         適用する最小の高さ（px）
+     * - maxHeight:         適用する最大の高さ（px）。Infinityで無制限
+     * - animate:           高さ変更をCSS transitionでアニメーションするかどうか
+     * - animationDuration: アニメーション時間（ms）
+     * - syncWidth:         子ページから通知された幅も iframe に適用するかどうか
+     * - onResize:          高さを適用した際に呼ばれるコールバック function (iframe, height, width)
+     * - onTransitionStart: 子ページの transition 開始時に呼ばれるコールバック
+     *                      function (iframe, { property, duration, delay, easing, frameInterval })
+     * - onDetached:        子ページが destroy() された（detached を受信した）際に呼ばれるコールバック function (iframe)
+     * - onStateChange:     子ページの状態（height-change の state）が変化した際に呼ばれるコールバック
+     *                      function (iframe, state)
+     * - allowScroll:       子ページからの scroll-to で親ページのウィンドウをスクロールするかどうか
+     * - scrollOffset:      scroll-to でスクロールする際に上端に空ける余白（px）。固定ヘッダーの高さなど
+     * - initialState:      init に含めて子ページに復元させる初期状態（親ページのURLから復元する場合など）
+     *                      iframe が再読み込みされた場合は、最後に通知された状態を代わりに送信する
+     *                      data-initial-state 属性（JSON）でも指定できる
+     */
+    const DEFAULT_OPTIONS = {
+        minHeight: 0,
+        maxHeight: Infinity,
+        animate: false,
+        animationDuration: 300,
+        syncWidth: false,
+        onResize: null,
+        onTransitionStart: null,
+        onDetached: null,
+        onStateChange: null,
+        allowScroll: true,
+        scrollOffset: 0,
+        initialState: null
+    };
+
+    const LOG_LEVELS = {
+        debug: 10,
+        info: 20,
+        warn: 30,
+        error: 40,
+        off: 100
+    };
+    // script タグは読み込み時にしか取得できないため、ここで読み取っておく
+    const currentScript = document.currentScript;
+    let logLevel = currentScript && LOG_LEVELS[currentScript.dataset.logLevel] ? currentScript.dataset.logLevel : 'warn';
+
+    /**
+     * log(level, message, data)
+     *
+     * ログレベル以上の場合のみ、コンソールに出力します。
+     *
+     * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+     */
+    function log(level, message, data) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[logLevel]) {
+            return;
+        }
+        const method = level === 'warn' || level === 'error' ? level : 'log';
+        if (data === undefined) {
+            console[method](`[PARENT] ${message}`);
+        } else {
+            console[method](`[PARENT] ${message}`, data);
+        }
+    }
+
+    /**
+     * setLogLevel(level)
+     *
+     * @param {string} level - 'debug' | 'info' | 'warn' | 'error' | 'off'
+     */
+    function setLogLevel(level) {
+        if (!LOG_LEVELS[level]) {
+            throw new Error(`Unknown log level "${level}"`);
+        }
+        logLevel = level;
+    }
+
+    /**
+     * 登録済みiframeの一覧
+     * 各要素: { iframe, options, lastHeight, lastWidth, origin, nonce, connected, onLoad, endpoint, transition, detached, state }
+     */
+    const entries = [];
+    // on() で登録された、子ページからのメッセージのハンドラ
+    const customHandlers = {};
+    let listening = false;
+    let messageCount = 0;
+
+    /**
+     * findEntryBySource(source)
+     *
+     * メッセージの送信元ウィンドウ（event.source）に対応する登録済みiframeを探します。
+     * 複数のiframeが同じページにある場合でも、contentWindow との比較で正しく特定できます。
+     *
+     * @param {Window} source - event.source
+     * @returns {Object|null} 対応するエントリ
+     */
+    function findEntryBySource(source) {
+        for (let i = 0; i < entries.length; i++) {
+            if (entries[i].iframe.contentWindow === source) {
+                return entries[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * createNonce()
+     *
+     * ハンドシェイク用のランダムな文字列を生成します。
+     *
+     * @returns {string} 32文字の16進数文字列
+     */
+    function createNonce() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.prototype.map.call(bytes, function (b) {
+            return ('0' + b.toString(16)).slice(-2);
+        }).join('');
+    }
+
+    /**
+     * getIframeOrigin(iframe)
+     *
+     * iframeの src からオリジンを求めます。
+     * file:// の場合は 'null' になります。
+     */
+    function getIframeOrigin(iframe) {
+        try {
+            return new URL(iframe.src, window.location.href).origin;
+        } catch (e) {
+            return 'null';
+        }
+    }
+
+    /**
+     * sendInit(entry)
+     *
+     * iframeに init メッセージを送信してハンドシェイクを開始します。
+     * 送信のたびに新しいnonceを生成するため、iframeが再読み込みされても古いnonceは無効になります。
+     * 最後に通知された状態（なければ initialState）を state として含め、再読み込み後も状態を復元させます。
+     *
+     * 注意: オリジンが 'null'（file://）の場合はターゲットとして指定できないため '*' を使用します。
+     */
+    function sendInit(entry) {
+        const contentWindow = entry.iframe.contentWindow;
+        if (!contentWindow) {
+            return;
+        }
+        entry.origin = getIframeOrigin(entry.iframe);
+        entry.nonce = createNonce();
+        entry.connected = false;
+        const payload = { nonce: entry.nonce };
+        const state = entry.state || entry.options.initialState;
+        if (state) {
+            payload.state = state;
+        }
+        log('debug', `Sending init to ${entry.origin}`);
+        entry.endpoint.send('init', payload);
+    }
+
+    /**
+     * postToIframe(entry, message)
+     *
+     * iframeのオリジンに対してのみメッセージを送信します。nonce を自動的に付与します。
+     */
+    function postToIframe(entry, message) {
+        const contentWindow = entry.iframe.contentWindow;
+        if (!contentWindow) {
+            throw new Error('iframe has no contentWindow');
+        }
+        message.nonce = entry.nonce;
+        contentWindow.postMessage(message, entry.origin === 'null' ? '*' : entry.origin);
+    }
+
+    /**
+     * getFrameContentOffset(iframe)
+     *
+     * 親ページの表示領域の左上から見た、iframe の内容（枠線・パディングの内側）の位置を返します。
+     */
+    function getFrameContentOffset(iframe) {
+        const rect = iframe.getBoundingClientRect();
+        const style = getComputedStyle(iframe);
+        return {
+            top: rect.top + iframe.clientTop + parseFloat(style.paddingTop),
+            left: rect.left + iframe.clientLeft + parseFloat(style.paddingLeft)
+        };
+    }
+
+    /**
+     * scrollToChildOffset(entry, payload)
+     *
+     * 子ページの文書内の位置（scroll-to の payload）を親ページの座標に変換し、ウィンドウをスクロールします。
+     * - block: 'start'   要素の上端を表示領域の上端（scrollOffset の分だけ下）に合わせる
+     * - block: 'nearest' 要素が見えている場合は何もしない。見えていない場合は近い方の端に合わせる
+     */
+    function scrollToChildOffset(entry, payload) {
+        const frame = getFrameContentOffset(entry.iframe);
+        const offset = entry.options.scrollOffset;
+        const elementTop = frame.top + payload.top;
+        const elementBottom = elementTop + (payload.height || 0);
+        let delta;
+
+        if (payload.block === 'nearest') {
+            if (elementTop >= offset && elementBottom <= window.innerHeight) {
+                return;
+            }
+            // 表示領域より大きい要素、または上にはみ出している要素は上端に合わせる
+            delta = elementTop < offset || elementBottom - elementTop > window.innerHeight - offset
+                ? elementTop - offset
+                : elementBottom - window.innerHeight;
+        } else {
+            delta = elementTop - offset;
+        }
+
+        log('debug', `Scrolling by ${Math.round(delta)}px for child scroll-to:`, payload);
+        window.scrollTo({
+            top: window.scrollY + delta,
+            behavior: payload.behavior === 'smooth' ? 'smooth' : 'auto'
+        });
+    }
+
+    /**
+     * createHandlers(entry)
+     *
+     * 子ページからのメッセージを処理するハンドラを作成します。
+     * on() で登録されたハンドラは、iframe を第2引数として呼び出されます。
+     */
+    function createHandlers(entry) {
+        const handlers = {
+            'init-ack': function () {
+                entry.connected = true;
+                log('info', 'Handshake completed:', entry.iframe);
+            },
+            'transition-start': function (payload) {
+                entry.transition = {
+                    duration: payload.duration,
+                    easing: payload.easing,
+                    frameInterval: payload.frameInterval || 50
+                };
+                log('debug', 'Child transition started:', payload);
+                if (typeof entry.options.onTransitionStart === 'function') {
+                    entry.options.onTransitionStart(entry.iframe, payload);
+                }
+            },
+            'detached': function () {
+                entry.detached = true;
+                entry.transition = null;
+                log('info', 'Child detached:', entry.iframe);
+                if (typeof entry.options.onDetached === 'function') {
+                    entry.options.onDetached(entry.iframe);
+                }
+            },
+            'height-change': function (payload) {
+                if (typeof payload.height !== 'number') {
+                    throw new Error('height-change requires a numeric "height"');
+                }
+                messageCount++;
+                // detached の後に再び start() された場合
+                entry.detached = false;
+                // final が省略された場合は確定した高さとして扱う
+                if (payload.final !== false) {
+                    entry.transition = null;
+                }
+                log('debug', `Received height-change #${messageCount}:`, payload);
+                applyHeight(entry, payload.height, payload.width);
+                if (payload.state && JSON.stringify(payload.state) !== JSON.stringify(entry.state)) {
+                    entry.state = payload.state;
+                    if (typeof entry.options.onStateChange === 'function') {
+                        entry.options.onStateChange(entry.iframe, payload.state);
+                    }
+                }
+            },
+            'scroll-to': function (payload) {
+                if (typeof payload.top !== 'number') {
+                    throw new Error('scroll-to requires a numeric "top"');
+                }
+                if (!entry.options.allowScroll) {
+                    log('debug', 'scroll-to ignored (allowScroll is false):', payload);
+                    return;
+                }
+                scrollToChildOffset(entry, payload);
+            },
+            'get-viewport': function () {
+                const frame = getFrameContentOffset(entry.iframe);
+                return {
+                    width: window.innerWidth,
+                    height: window.innerHeight,
+                    scrollX: window.scrollX,
+                    scrollY: window.scrollY,
+                    frameTop: frame.top,
+                    frameLeft: frame.left
+                };
+            },
+            'ping': function () {
+                return { pong: true, time: Date.now() };
+            }
+        };
+        Object.keys(customHandlers).forEach(function (type) {
+            handlers[type] = wrapCustomHandler(entry, customHandlers[type]);
+        });
+        return handlers;
+    }
+
+    function wrapCustomHandler(entry, handler) {
+        return function (payload, message) {
+            return handler(payload, entry.iframe, message);
+        };
+    }
+
+    function findEntryByIframe(iframe) {
+        for (let i = 0; i < entries.length; i++) {
+            if (entries[i].iframe === iframe) {
+                return entries[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * clampHeight(height, options)
+     *
+     * @param {number} height - 子ページから通知された高さ
+     * @param {Object} options - エントリのオプション
+     * @returns {number} minHeight〜maxHeight の範囲に収めた高さ
+     */
+    function clampHeight(height, options) {
+        return Math.min(Math.max(height, options.minHeight), options.maxHeight);
+    }
+
+    /**
+     * applyHeight(entry, height)
+     *
+     * iframeに高さを適用します。
+     *
+     * - 子ページの transition 中（transition-start 受信後、final: true まで）:
+     *   途中経過の送信間隔（frameInterval）で linear に補間し、子ページのアニメーションに追従する
+     * - animate が有効な場合: height に対する CSS transition を設定してから適用する
+     */
+    function applyHeight(entry, height, width) {
+        const iframe = entry.iframe;
+        const clamped = clampHeight(height, entry.options);
+        const widthChanged = typeof width === 'number' && width !== entry.lastWidth;
+
+        if (clamped === entry.lastHeight && !widthChanged) {
+            return;
+        }
+
+        if (entry.transition) {
+            iframe.style.transition = `height ${entry.transition.frameInterval}ms linear`;
+        } else if (entry.options.animate) {
+            iframe.style.transition = `height ${entry.options.animationDuration}ms ease`;
+        } else {
+            iframe.style.transition = '';
+        }
+
+        log('debug', `Resizing iframe to ${clamped}px (requested ${height}px)`, iframe);
+        iframe.style.height = clamped + 'px';
+        entry.lastHeight = clamped;
+        if (typeof width === 'number') {
+            entry.lastWidth = width;
+            if (entry.options.syncWidth) {
+                iframe.style.width = width + 'px';
+            }
+        }
+
+        if (typeof entry.options.onResize === 'function') {
+            entry.options.onResize(iframe, clamped, entry.lastWidth);
+        }
+    }
+
+    /**
+     * handleMessage(event)
+     *
+     * window の message イベントハンドラ。
+     *
+     * 以下のメッセージは無視します:
+     * - 登録されていないiframeからのメッセージ
+     * - iframeの src と異なるオリジンからのメッセージ
+     * - ハンドシェイクで送ったnonceと一致しないメッセージ（偽装・古いメッセージ）
+     * - iframe-protocol.js のプロトコル以外のメッセージ
+     */
+    function handleMessage(event) {
+        const data = event.data;
+        if (!IframeProtocol.isProtocolMessage(data)) {
+            return;
+        }
+
+        const entry = findEntryBySource(event.source);
+        if (!entry) {
+            return;
+        }
+        if (entry.origin !== 'null' && event.origin !== entry.origin) {
+            log('warn', `Message from unexpected origin ${event.origin}, ignoring`);
+            return;
+        }
+        if (!entry.nonce || data.nonce !== entry.nonce) {
+            log('warn', 'Message with invalid nonce, ignoring:', data.type);
+            return;
+        }
+
+        entry.endpoint.receive(data);
+    }
+
+    function ensureListening() {
+        if (!listening) {
+            window.addEventListener('message', handleMessage);
+            listening = true;
+        }
+    }
+
+    /**
+     * readDataOptions(iframe)
+     *
+     * iframeの data-* 属性からオプションを読み取ります。
+     * - data-min-height, data-max-height: 数値（px）
+     * - data-animate: 属性があればアニメーション有効
+     */
+    function readDataOptions(iframe) {
+        const result = {};
+        if (iframe.dataset.minHeight) {
+            result.minHeight = Number(iframe.dataset.minHeight);
+        }
+        if (iframe.dataset.maxHeight) {
+            result.maxHeight = Number(iframe.dataset.maxHeight);
+        }
+        if (iframe.dataset.animate !== undefined) {
+            result.animate = iframe.dataset.animate !== 'false';
+        }
+        if (iframe.dataset.initialState) {
+            try {
+                result.initialState = JSON.parse(iframe.dataset.initialState);
+            } catch (e) {
+                log('warn', 'Invalid data-initial-state, ignoring:', iframe.dataset.initialState);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * register(iframe, userOptions)
+     *
+     * iframeを登録し、height-change メッセージの受信を開始します。
+     * 既に登録済みの場合はオプションを更新します。
+     *
+     * @param {HTMLIFrameElement} iframe - 対象のiframe
+     * @param {Object} [userOptions] - DEFAULT_OPTIONS を上書きするオプション
+     */
+    function register(iframe, userOptions) {
+        const options = Object.assign({}, DEFAULT_OPTIONS, readDataOptions(iframe), userOptions || {});
+        const existing = findEntryByIframe(iframe);
+        if (existing) {
+            existing.options = options;
+            return;
+        }
+        const entry = {
+            iframe: iframe,
+            options: options,
+            lastHeight: null,
+            lastWidth: null,
+            origin: null,
+            nonce: null,
+            connected: false,
+            onLoad: null,
+            endpoint: null,
+            transition: null,
+            detached: false,
+            state: null
+        };
+        entry.endpoint = IframeProtocol.createEndpoint({
+            post: function (message) {
+                postToIframe(entry, message);
+            },
+            handlers: createHandlers(entry),
+            logPrefix: '[PARENT]',
+            log: log
+        });
+        // iframeが読み込まれる（再読み込みを含む）たびにハンドシェイクをやり直す
+        entry.onLoad = function () {
+            sendInit(entry);
+        };
+        entries.push(entry);
+        log('info', 'Registered iframe:', iframe);
+        ensureListening();
+        iframe.addEventListener('load', entry.onLoad);
+
+        // 既に読み込み済みのiframeのために、すぐにも init を送信しておく
+        // （子ページがまだ準備できていない場合は、load 時の init で改めて接続される）
+        sendInit(entry);
+    }
+
+    /**
+     * unregister(iframe)
+     *
+     * iframeの登録を解除します。登録がなくなった場合は message リスナーも解除します。
+     */
+    function unregister(iframe) {
+        const entry = findEntryByIframe(iframe);
+        if (!entry) {
+            return;
+        }
+        iframe.removeEventListener('load', entry.onLoad);
+        entry.endpoint.dispose();
+        entries.splice(entries.indexOf(entry), 1);
+        if (entries.length === 0 && listening) {
+            window.removeEventListener('message', handleMessage);
+            listening = false;
+        }
+    }
+
+    /**
+     * autoRegister(selector)
+     *
+     * セレクタに一致するiframeのうち、まだ登録されていないものをすべて登録します。
+     * （register() で個別にオプションを指定済みのiframeは上書きしません）
+     *
+     * @param {string} [selector='iframe[data-height-sync]']
+     */
+    function autoRegister(selector) {
+        const iframes = document.querySelectorAll(selector || 'iframe[data-height-sync]');
+        iframes.forEach(function (iframe) {
+            if (!findEntryByIframe(iframe)) {
+                register(iframe);
+            }
+        });
+    }
+
+    /**
+     * getHeight(iframe)
+     *
+     * @returns {number|null} 最後に適用した高さ（未適用の場合はnull）
+     */
+    function getHeight(iframe) {
+        const entry = findEntryByIframe(iframe);
+        return entry ? entry.lastHeight : null;
+    }
+
+    /**
+     * getState(iframe)
+     *
+     * @returns {Object|null} 子ページから通知された最新の状態（未通知の場合はnull）
+     */
+    function getState(iframe) {
+        const entry = findEntryByIframe(iframe);
+        return entry ? entry.state : null;
+    }
+
+    /**
+     * isConnected(iframe)
+     *
+     * @returns {boolean} ハンドシェイクが完了している場合はtrue
+     */
+    function isConnected(iframe) {
+        const entry = findEntryByIframe(iframe);
+        return entry ? entry.connected : false;
+    }
+
+    /**
+     * on(type, handler)
+     *
+     * 子ページからのメッセージのハンドラを登録します（すべての登録済みiframeに適用されます）。
+     * ハンドラの戻り値が response として子ページに返されます。
+     *
+     * @param {string} type - メッセージの種類
+     * @param {Function} handler - function (payload, iframe, message)
+     */
+    function on(type, handler) {
+        customHandlers[type] = handler;
+        entries.forEach(function (entry) {
+            entry.endpoint.handlers[type] = wrapCustomHandler(entry, handler);
+        });
+    }
+
+    /**
+     * send(iframe, type, payload)
+     *
+     * 子ページにメッセージを送信します（応答は待ちません）。
+     *
+     * @returns {boolean} 送信した場合はtrue（未登録・ハンドシェイク前はfalse）
+     */
+    function send(iframe, type, payload) {
+        const entry = findEntryByIframe(iframe);
+        if (!entry || !entry.connected) {
+            return false;
+        }
+        entry.endpoint.send(type, payload);
+        return true;
+    }
+
+    /**
+     * request(iframe, type, payload, timeout)
+     *
+     * 子ページにリクエストを送信し、応答の payload で解決される Promise を返します。
+     *
+     * 使用例:
+     *   ParentHeightSync.request(iframe, 'set-expanded', { expanded: true })
+     *       .then(function (result) { console.log(result.expanded); })
+     *       .catch(function (e) { console.error(e.code, e.message); });
+     *
+     * @returns {Promise<Object>}
+     */
+    function request(iframe, type, payload, timeout) {
+        const entry = findEntryByIframe(iframe);
+        if (!entry) {
+            return Promise.reject(new Error('iframe is not registered'));
+        }
+        if (!entry.connected) {
+            return Promise.reject(new Error('Handshake with iframe not completed'));
+        }
+        return entry.endpoint.request(type, payload, timeout);
+    }
+
+    window.ParentHeightSync = {
+        register: register,
+        unregister: unregister,
+        autoRegister: autoRegister,
+        getHeight: getHeight,
+        getState: getState,
+        isConnected: isConnected,
+        on: on,
+        send: send,
+        request: request,
+        setLogLevel: setLogLevel
+    };
+
+    // data-height-sync 属性を持つiframeを自動登録
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function () {
+            autoRegister();
+        });
+    } else {
+        autoRegister();
+    }
+})();
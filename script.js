@@ -5,12 +5,19 @@
  * 高さが変化した際に親サイト（iframeを埋め込んでいるサイト）に通知します。
  * 
  * 主な機能:
- * 1. ボタンクリックでコンテンツの展開/折りたたみ
- * 2. 高さの変化を検出して親サイトにpostMessageで通知
- * 3. 複数の方法で高さの変化を監視（MutationObserver、resize、定期チェック）
+ * 1. ボタンクリックで複数のセクションの展開/折りたたみ（child-expand-toggles.js を使用）
+ * 2. 高さの変化を検出して親サイトにpostMessageで通知（child-height-sync.js を使用）
+ * 3. ResizeObserverで高さの変化を監視（非対応ブラウザでは MutationObserver、resize、定期チェック）
  */
 
-console.log('[CHILD] Script loading...');
+/**
+ * ログは ChildHeightSync のロガーを使用する（既定では warn 以上のみ出力）
+ * index.html では script タグの data-log-level="info" で info 以上を出力している
+ * 詳細なログを見る場合は ?logLevel=debug を付けて開く
+ */
+const logger = ChildHeightSync.logger;
+
+logger.debug('Script loading...');
 const childStartTime = performance.now();
 
 /**
@@ -18,404 +25,132 @@ const childStartTime = performance.now();
  * 注意: この時点では画像やスタイルシートの読み込みは完了していない可能性がある
  */
 document.addEventListener('DOMContentLoaded', function () {
-    console.log('[CHILD] DOMContentLoaded event fired');
+    logger.debug('DOMContentLoaded event fired');
     const loadTime = performance.now() - childStartTime;
-    console.log(`[CHILD] DOM ready in ${loadTime.toFixed(2)}ms`);
+    logger.debug(`DOM ready in ${loadTime.toFixed(2)}ms`);
 
-    const toggleButton = document.getElementById('toggle-button');
-    const expandableContent = document.getElementById('expandable-content');
     const stateInfo = document.getElementById('state-info');
     const currentHeightDisplay = document.getElementById('current-height');
-    let isExpanded = false;
 
-    console.log('[CHILD] Elements found:', {
-        toggleButton: !!toggleButton,
-        expandableContent: !!expandableContent,
+    logger.debug('Elements found:', {
+        toggles: document.querySelectorAll('[data-expand-toggle]').length,
         stateInfo: !!stateInfo,
         currentHeightDisplay: !!currentHeightDisplay
     });
 
     // Check if all required elements exist
-    if (!toggleButton || !expandableContent || !stateInfo || !currentHeightDisplay) {
-        console.error('[CHILD] Required elements not found');
+    if (!stateInfo || !currentHeightDisplay) {
+        logger.error('Required elements not found');
         return;
     }
 
     /**
-     * updateHeightDisplay()
-     * 
-     * 現在のページの高さを取得し、表示を更新して親サイトに通知します。
-     * 
-     * 処理内容:
-     * 1. document.body.scrollHeight と document.documentElement.scrollHeight の両方を取得
-     *    - body.scrollHeight: body要素のスクロール可能な高さ
-     *    - documentElement.scrollHeight: html要素のスクロール可能な高さ
-     *    - より大きい方（または利用可能な方）を使用
-     * 2. 画面に現在の高さを表示
-     * 3. 親サイトにpostMessageで高さを通知
-     * 
-     * 最適化:
-     * - 前回の高さと同じ場合は更新をスキップ（不要な処理を避ける）
-     * - silentパラメータでログの出力を制御（定期チェック時はサイレントモード）
+     * 展開/折りたたみの初期化
+     *
+     * data-expand-toggle のボタンとパネルの切り替え、ARIA属性、inert、
+     * transition 完了後の高さの通知は child-expand-toggles.js（ChildExpandToggles）が担当します。
+     * 展開されているパネルのIDは height-change の state.openSections として親サイトに通知されます。
+     * このデモでは、切り替えた際に状態の表示（ライブリージョン）を更新するだけです。
      */
-    let updateCount = 0;
-    let lastHeight = 0; // 前回の高さを記録（不要な更新を防ぐ）
-    function updateHeightDisplay(silent = false) {
-        updateCount++;
-        const updateStartTime = performance.now();
-        try {
-            // 両方の高さを取得して、より正確な値を取得
-            const bodyHeight = document.body.scrollHeight;
-            const docHeight = document.documentElement.scrollHeight;
-            const height = bodyHeight || docHeight;
-
-            // 高さが変わっていない場合はスキップ（不要な処理を避ける）
-            if (height === lastHeight) {
-                if (!silent) {
-                    console.log(`[CHILD] Height unchanged (${height}px), skipping update`);
-                }
-                return;
-            }
-
-            // 高さが変化した場合のみログを出力
-            if (!silent) {
-                console.log(`[CHILD] updateHeightDisplay #${updateCount}:`, {
-                    bodyScrollHeight: bodyHeight,
-                    docScrollHeight: docHeight,
-                    finalHeight: height,
-                    previousHeight: lastHeight,
-                    heightChanged: true
-                });
-            }
-
-            // 前回の高さを更新
-            lastHeight = height;
-
-            // 画面表示を更新
-            if (currentHeightDisplay) {
-                currentHeightDisplay.textContent = height;
-            }
-
-            // 親サイトに高さの変化を通知
-            notifyParentHeightChange(height);
+    function describeOpenSections(openSections) {
+        return openSections.length > 0 ? `Open sections: ${openSections.join(', ')}` : 'All sections are collapsed';
+    }
 
-            const updateTime = performance.now() - updateStartTime;
-            if (!silent) {
-                console.log(`[CHILD] Height update completed in ${updateTime.toFixed(2)}ms`);
-            }
-        } catch (e) {
-            console.error('[CHILD] Error updating height display:', e);
+    // メインのコンテンツの展開状態は、これまでどおり state.expanded でも通知する
+    ChildExpandToggles.init({
+        primarySection: 'expandable-content',
+        onChange: function (id, open, openSections) {
+            stateInfo.textContent = describeOpenSections(openSections);
         }
-    }
+    });
+    stateInfo.textContent = describeOpenSections(ChildExpandToggles.getOpenSections());
 
     /**
-     * notifyParentHeightChange(height)
-     * 
-     * 親サイト（iframeを埋め込んでいるサイト）に、高さの変化を通知します。
-     * 
-     * 使用技術: postMessage API
-     * - クロスオリジン通信を安全に行うための標準API
-     * - window.parent.postMessage() で親ウィンドウにメッセージを送信
-     * 
-     * メッセージ形式:
-     * {
-     *   type: 'height-change',
-     *   height: <数値>  // ピクセル単位の高さ
-     * }
-     * 
-     * 注意: 現在は '*' をターゲットオリジンとして使用しているが、
-     * 本番環境では親サイトの正確なオリジンを指定すべき（セキュリティのため）
-     * 
-     * @param {number} height - 新しい高さ（ピクセル単位）
+     * 高さ監視の開始
+     *
+     * 高さの測定・親サイトへの通知・各種監視（ResizeObserver とそのフォールバック）は
+     * child-height-sync.js（ChildHeightSync）が担当します。
+     * このデモでは、高さが変化した際に画面の表示を更新するだけです。
+     */
+    /**
+     * measure: 'boundingRect' を使う理由:
+     * styles.css で body に min-height: 100vh を指定しているため、iframe内では
+     * body の高さが iframe の表示領域より小さくならない（折りたたんでも iframe が縮まない）。
+     * boundingRect は内容の実際の範囲を測定するため、折りたたみ時にも正しく縮む。
      */
-    let messageCount = 0;
-    function notifyParentHeightChange(height) {
-        messageCount++;
-        try {
-            // 親ウィンドウが存在し、かつ現在のウィンドウと異なる場合のみ送信
-            // （iframe内で実行されている場合のみ有効）
-            if (window.parent && window.parent !== window) {
-                const message = {
-                    type: 'height-change',
-                    height: height
-                };
-                console.log(`[CHILD] Sending postMessage #${messageCount} to parent:`, message);
-                // 親サイトにメッセージを送信
-                // 第2引数 '*' は任意のオリジンからのメッセージを受け取ることを意味する
-                // 本番環境では 'https://kzk4043.github.io' のように具体的なオリジンを指定すべき
-                window.parent.postMessage(message, '*');
-                console.log(`[CHILD] postMessage sent successfully`);
-            } else {
-                // 親ウィンドウがない、または同じウィンドウの場合（iframe外で直接開いている場合）
-                console.log('[CHILD] No parent window or same window, skipping postMessage');
-            }
-        } catch (e) {
-            console.error('[CHILD] Could not send message to parent:', e);
+    ChildHeightSync.start({
+        measure: 'boundingRect',
+        onHeightChange: function (height) {
+            currentHeightDisplay.textContent = height;
         }
-    }
+    });
 
     /**
-     * トグルボタンのクリックイベント
-     * 
-     * ユーザーがボタンをクリックすると、コンテンツの展開/折りたたみを切り替えます。
-     * 
-     * 処理フロー:
-     * 1. クリックイベントを受け取る
-     * 2. isExpandedフラグを反転
-     * 3. CSSクラスを追加/削除してコンテンツの表示/非表示を切り替え
-     * 4. ボタンのテキストとスタイルを更新
-     * 5. setTimeoutで100ms後に高さを更新
-     *    → なぜsetTimeoutが必要か:
-     *       - CSS transition（0.5秒）が完了する前に高さを測定すると、
-     *         まだ展開中の途中の高さを取得してしまう可能性がある
-     *       - 100ms待つことで、CSS transitionが進行した後の
-     *         より正確な高さを取得できる
-     *       - ただし、完全にtransitionが終わるまで待つ必要はない
-     *         （親サイトが高さを調整するのに十分な時間を確保）
+     * 親サイトからの set-expanded コマンド
+     *
+     * payload: { expanded: boolean, section?: string }
+     * section（パネルのID、省略時は expandable-content）を展開/折りたたみます。
+     * section はトグルが制御するパネルのIDに限られ、それ以外はエラー応答になります。
+     * 応答として切り替え後の状態と、展開されているパネルの一覧を返します。
      */
-    console.log('[CHILD] Adding click event listener to toggle button');
-    toggleButton.addEventListener('click', function () {
-        const clickTime = performance.now();
-        console.log('[CHILD] Toggle button clicked');
-        isExpanded = !isExpanded;
-
-        if (isExpanded) {
-            console.log('[CHILD] Expanding content');
-            // 'expanded'クラスを追加することで、CSSで定義された
-            // max-height: 2000px が適用され、コンテンツが表示される
-            expandableContent.classList.add('expanded');
-            toggleButton.textContent = 'Click to Collapse Content';
-            toggleButton.classList.add('expanded');
-            stateInfo.textContent = 'Content is expanded';
-        } else {
-            console.log('[CHILD] Collapsing content');
-            // 'expanded'クラスを削除することで、max-height: 0 に戻り、
-            // コンテンツが非表示になる
-            expandableContent.classList.remove('expanded');
-            toggleButton.textContent = 'Click to Expand Content';
-            toggleButton.classList.remove('expanded');
-            stateInfo.textContent = 'Content is collapsed';
+    ChildHeightSync.on('set-expanded', function (payload) {
+        if (typeof payload.expanded !== 'boolean') {
+            throw new Error('set-expanded requires a boolean "expanded"');
         }
-
-        /**
-         * 高さ更新のタイミング制御
-         * 
-         * CSS transitionは0.5秒（500ms）かけて実行されるため、クラスの追加/削除直後に
-         * scrollHeightを取得すると、まだ途中の高さを取得してしまう可能性がある。
-         * 
-         * 展開時: 100ms待つ
-         * - 展開は視覚的にわかりやすく、途中の高さでも問題ない
-         * - より早く親サイトに通知できる
-         * 
-         * 折りたたみ時: transitionendイベントを待つ（より正確）
-         * - 折りたたみ時は正確な最終高さを取得する必要がある
-         * - transitionendイベントでtransition完了を確実に検知
-         * - フォールバックとして600msのタイムアウトも設定
-         */
-        if (isExpanded) {
-            // 展開時: 100ms待つ（視覚的な反応を早くするため）
-            console.log('[CHILD] Scheduling height update in 100ms (expanding)');
-            setTimeout(function () {
-                updateHeightDisplay();
-                const totalTime = performance.now() - clickTime;
-                console.log(`[CHILD] Toggle action completed in ${totalTime.toFixed(2)}ms`);
-            }, 100);
+        const section = payload.section || 'expandable-content';
+        if (ChildExpandToggles.getSectionIds().indexOf(section) === -1) {
+            throw new Error(`Unknown section "${section}"`);
+        }
+        if (payload.expanded) {
+            ChildExpandToggles.open(section);
         } else {
-            // 折りたたみ時: transitionendイベントを待つ（より正確）
-            console.log('[CHILD] Waiting for transitionend event (collapsing)');
-
-            let transitionEndFired = false;
-            let transitionTimeout = null;
-
-            // transitionendイベントリスナー（一度だけ実行）
-            const handleTransitionEnd = function (event) {
-                // 対象要素のtransitionのみ処理
-                if (event.target === expandableContent && !transitionEndFired) {
-                    transitionEndFired = true;
-                    console.log('[CHILD] transitionend event fired');
-
-                    if (transitionTimeout) {
-                        clearTimeout(transitionTimeout);
-                    }
-
-                    // イベントリスナーを削除
-                    expandableContent.removeEventListener('transitionend', handleTransitionEnd);
-
-                    /**
-                     * transitionendイベントが発火した後、ブラウザがレンダリングを完了して
-                     * scrollHeightを更新するまでに時間がかかる場合がある。
-                     * 
-                     * 解決策: requestAnimationFrameを複数回使用して、レンダリングサイクルを待つ
-                     * - 1回目のrequestAnimationFrame: 次のフレームを待つ
-                     * - 2回目のrequestAnimationFrame: レンダリングが完了したことを確認
-                     * 
-                     * これにより、DOMの高さが正確に更新された後に高さを取得できる
-                     */
-                    console.log('[CHILD] Waiting for rendering to complete after transitionend');
-                    requestAnimationFrame(function () {
-                        // 次のフレームを待つ
-                        requestAnimationFrame(function () {
-                            // レンダリングが完了した後、高さを更新
-                            console.log('[CHILD] Rendering complete, updating height');
-                            updateHeightDisplay();
-                            const totalTime = performance.now() - clickTime;
-                            console.log(`[CHILD] Toggle action completed in ${totalTime.toFixed(2)}ms`);
-                        });
-                    });
-                }
-            };
-
-            // transitionendイベントリスナーを追加
-            expandableContent.addEventListener('transitionend', handleTransitionEnd);
-
-            // フォールバック: 700ms後にタイムアウト（transitionが完了しない場合の保険）
-            transitionTimeout = setTimeout(function () {
-                if (!transitionEndFired) {
-                    console.log('[CHILD] Transition timeout, updating height anyway');
-                    transitionEndFired = true;
-                    expandableContent.removeEventListener('transitionend', handleTransitionEnd);
-
-                    // タイムアウト時もrequestAnimationFrameを使用
-                    requestAnimationFrame(function () {
-                        requestAnimationFrame(function () {
-                            updateHeightDisplay();
-                            const totalTime = performance.now() - clickTime;
-                            console.log(`[CHILD] Toggle action completed (timeout) in ${totalTime.toFixed(2)}ms`);
-                        });
-                    });
-                }
-            }, 700); // CSS transition (500ms) + レンダリング待機時間 + 余裕を持たせて700ms
+            ChildExpandToggles.close(section);
         }
+        return {
+            section: section,
+            expanded: ChildExpandToggles.isOpen(section),
+            openSections: ChildExpandToggles.getOpenSections()
+        };
     });
 
     /**
-     * 初期高さの更新
-     * 
-     * ページ読み込み時に、初期状態の高さを親サイトに通知します。
-     * 
-     * setTimeout の理由:
-     * - DOMContentLoadedはDOMの構築が完了した時点で発火するが、
-     *   スタイルシートの読み込みやレンダリングはまだ完了していない可能性がある
-     * - 画像の読み込みが完了していない場合もある
-     * - 100ms待つことで、ブラウザがレンダリングを完了し、
-     *   正確な高さを取得できる可能性が高まる
-     * 
-     * 注意: 完全にすべてのリソースが読み込まれるまで待つわけではない
-     * （window.onloadを待つと遅すぎる可能性がある）
+     * 親サイトからの set-state コマンド（init に含まれる初期状態も、このハンドラで適用される）
+     *
+     * payload: { state: { openSections: string[] }, animate?: boolean }
+     * openSections に含まれるパネルだけを展開します。animate: false の場合はアニメーションなしで切り替えます
+     * （親サイトのURLから復元する場合など）。応答として切り替え後の状態を返します。
      */
-    console.log('[CHILD] Scheduling initial height update in 100ms');
-    setTimeout(function () {
-        console.log('[CHILD] Performing initial height update');
-        updateHeightDisplay();
-    }, 100);
-
-    /**
-     * ウィンドウリサイズイベント
-     * 
-     * ブラウザウィンドウのサイズが変更された際に、高さを再計算して親サイトに通知します。
-     * 
-     * 注意: リサイズイベントは頻繁に発火する可能性があるため、
-     * デバウンス処理を追加することも検討できるが、
-     * 今回は即座に更新することで、レスポンシブな動作を確保
-     */
-    console.log('[CHILD] Adding window resize event listener');
-    window.addEventListener('resize', function () {
-        console.log('[CHILD] Window resized');
-        updateHeightDisplay();
+    ChildHeightSync.on('set-state', function (payload) {
+        const state = payload.state;
+        if (!state || !Array.isArray(state.openSections)) {
+            throw new Error('set-state requires "state.openSections" to be an array');
+        }
+        ChildExpandToggles.setOpenSections(state.openSections, { animate: payload.animate !== false });
+        return { state: ChildHeightSync.getState() };
     });
 
     /**
-     * MutationObserver: DOMの変更を監視
-     * 
-     * DOM要素の追加・削除・属性変更を監視し、高さに影響する可能性のある
-     * 変更を検出した際に高さを更新します。
-     * 
-     * 監視対象:
-     * - childList: true → 子要素の追加・削除を監視
-     * - subtree: true → 子孫要素も含めて監視
-     * - attributes: true → 属性の変更を監視
-     * - attributeFilter: ['class', 'style'] → classとstyle属性のみ監視
-     *   （他の属性変更は高さに影響しないため）
-     * 
-     * 最適化:
-     * - デバウンス処理を追加: 短時間に複数回発火した場合、最後の1回だけ実行
-     * - ログの出力を最小限に: 実際に高さが変化した場合のみ詳細ログ
+     * 親サイトの表示領域の確認
+     *
+     * iframe は内容の高さまで広げられるため、子ページの window.innerHeight は親サイトの表示領域と一致しない。
+     * モーダルやツールチップを配置する場合は、getParentViewport() で親サイトから見えている範囲を取得する。
      */
-    let observer;
-    let mutationCount = 0;
-    let mutationDebounceTimer = null;
-
-    if (typeof MutationObserver !== 'undefined') {
-        try {
-            console.log('[CHILD] Creating MutationObserver with debouncing');
-            observer = new MutationObserver(function (mutations) {
-                mutationCount++;
-
-                // デバウンス処理: 300ms以内に複数回発火した場合、最後の1回だけ実行
-                if (mutationDebounceTimer) {
-                    clearTimeout(mutationDebounceTimer);
-                }
-
-                mutationDebounceTimer = setTimeout(function () {
-                    // 実際に高さに影響する可能性のある変更のみログ出力
-                    const hasRelevantChanges = mutations.some(function (mutation) {
-                        return mutation.type === 'attributes' &&
-                            (mutation.attributeName === 'class' || mutation.attributeName === 'style');
-                    });
-
-                    if (hasRelevantChanges) {
-                        console.log(`[CHILD] MutationObserver: relevant change detected (#${mutationCount})`);
-                    }
-
-                    // DOMの変更が検出されたら、高さを再計算（サイレントモード）
-                    // updateHeightDisplay内で高さが変わっていない場合はスキップされる
-                    updateHeightDisplay(true); // silent = true
-                }, 300); // 300msのデバウンス
-            });
-
-            // document.body全体を監視対象に設定
-            observer.observe(document.body, {
-                childList: true,      // 子要素の追加・削除を監視
-                subtree: true,        // 子孫要素も含めて監視
-                attributes: true,     // 属性の変更を監視
-                attributeFilter: ['class', 'style']  // classとstyle属性のみ
-            });
-            console.log('[CHILD] MutationObserver attached to document.body');
-        } catch (e) {
-            console.warn('[CHILD] MutationObserver not supported:', e);
-        }
-    } else {
-        console.warn('[CHILD] MutationObserver not available in this browser');
+    const viewportDisplay = document.getElementById('parent-viewport');
+    const viewportButton = document.getElementById('viewport-button');
+    if (viewportDisplay && viewportButton) {
+        viewportButton.addEventListener('click', function () {
+            ChildHeightSync.getParentViewport()
+                .then(function (viewport) {
+                    viewportDisplay.textContent = `${viewport.width}x${viewport.height}px, ` +
+                        `visible ${Math.round(viewport.visibleTop)}-${Math.round(viewport.visibleBottom)}px`;
+                })
+                .catch(function (e) {
+                    viewportDisplay.textContent = `unavailable (${e.message})`;
+                });
+        });
     }
 
-    /**
-     * 定期的高さチェック（フォールバック）
-     * 
-     * 他の監視方法（MutationObserver、resizeイベント）で検出できなかった
-     * 高さの変化を検出するためのフォールバック機能。
-     * 
-     * 実行頻度: 3秒ごと（パフォーマンス向上のため1秒から3秒に変更）
-     * 
-     * なぜ必要か:
-     * - MutationObserverが検出できない変更（例: 外部スクリプトによる変更）
-     * - アニメーションやトランジションによる段階的な高さの変化
-     * - 他の監視方法が失敗した場合の保険
-     * 
-     * 最適化:
-     * - 間隔を3秒に延長してパフォーマンスへの影響を軽減
-     * - サイレントモードで実行（高さが変わっていない場合はログを出力しない）
-     * - updateHeightDisplay内で高さが変わっていない場合は自動的にスキップされる
-     * 
-     * 注意: このsetIntervalは、ページが閉じられるまで実行され続ける。
-     * 必要に応じて、ページアンロード時にclearInterval()でクリーンアップすることも検討できる。
-     */
-    console.log('[CHILD] Starting periodic height check (every 3s, silent mode)');
-    let heightCheckInterval = setInterval(function () {
-        // サイレントモードで実行（高さが変わっていない場合はログを出力しない）
-        updateHeightDisplay(true); // silent = true
-    }, 3000); // 3秒間隔に変更（パフォーマンス向上）
-
     const initTime = performance.now() - childStartTime;
-    console.log(`[CHILD] Initialization complete in ${initTime.toFixed(2)}ms`);
+    logger.info(`Initialization complete in ${initTime.toFixed(2)}ms`);
 });
 
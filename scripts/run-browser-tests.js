@@ -0,0 +1,71 @@
+/**
+ * Browser Test Runner
+ *
+ * test.html をヘッドレスの Chromium（Playwright）で開き、window.testResults.done になるまで待って
+ * 結果を出力します。失敗したテストがある場合、またはタイムアウトした場合は終了コード 1 で終了します。
+ *
+ * 使用例:
+ *   npm install
+ *   npx playwright install chromium   # 初回のみ（ブラウザのダウンロード）
+ *   npm test
+ *
+ * 環境変数:
+ * - TEST_TIMEOUT: テスト全体を待つ最大時間（ms、既定 120000）
+ */
+const { chromium } = require('playwright');
+const { createServer } = require('./serve');
+
+const TIMEOUT = Number(process.env.TEST_TIMEOUT) || 120000;
+
+function listen(server) {
+    return new Promise(function (resolve, reject) {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', function () {
+            resolve(server.address().port);
+        });
+    });
+}
+
+async function main() {
+    const server = createServer();
+    const port = await listen(server);
+    let browser = null;
+
+    try {
+        browser = await chromium.launch();
+        const page = await browser.newPage({ viewport: { width: 1280, height: 800 } });
+        page.on('pageerror', function (error) {
+            console.error(`[page error] ${error.message}`);
+        });
+
+        await page.goto(`http://127.0.0.1:${port}/test.html`);
+        await page.waitForFunction(function () {
+            return window.testResults && window.testResults.done;
+        }, null, { timeout: TIMEOUT });
+
+        const testResults = await page.evaluate(function () {
+            return window.testResults;
+        });
+        testResults.results.forEach(function (result) {
+            if (result.ok) {
+                console.log(`PASS ${result.name}`);
+            } else {
+                console.log(`FAIL ${result.name}\n  ${result.error.replace(/\n/g, '\n  ')}`);
+            }
+        });
+        console.log(`\n${testResults.passed} passed, ${testResults.failed} failed`);
+        return testResults.failed === 0 && testResults.passed > 0;
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+        server.close();
+    }
+}
+
+main().then(function (ok) {
+    process.exit(ok ? 0 : 1);
+}, function (error) {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Static File Server
+ *
+ * リポジトリのファイルをそのまま配信する、開発・テスト用の最小限のHTTPサーバーです。
+ * test.html は子ページの contentDocument に直接アクセスするため、file:// ではなく HTTP で開く必要があります。
+ *
+ * 使用例:
+ *   npm start              # http://localhost:8080/parent.html
+ *   PORT=3000 npm start
+ *
+ * scripts/run-browser-tests.js からは createServer() を使用します（空いているポートで起動）。
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * createServer()
+ *
+ * ROOT 以下のファイルを配信するサーバーを作成します（listen は呼び出し側で行う）。
+ * ROOT の外へのパス（../ など）は 403、パーセントエンコードが不正なパスは 400 を返します。
+ *
+ * @returns {http.Server}
+ */
+function createServer() {
+    return http.createServer(function (request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        let pathname;
+        try {
+            pathname = decodeURIComponent(url.pathname);
+        } catch (e) {
+            // 不正なパーセントエンコード（/%E0%A4%A など）でサーバーが終了しないようにする
+            response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Bad request');
+            return;
+        }
+        if (pathname.endsWith('/')) {
+            pathname += 'index.html';
+        }
+        const filePath = path.join(ROOT, pathname);
+        if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+            response.writeHead(403);
+            response.end('Forbidden');
+            return;
+        }
+
+        fs.readFile(filePath, function (error, data) {
+            if (error) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('Not found');
+                return;
+            }
+            response.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                'Cache-Control': 'no-store'
+            });
+            response.end(data);
+        });
+    });
+}
+
+module.exports = { createServer: createServer };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8080;
+    createServer().listen(port, function () {
+        console.log(`Serving ${ROOT} at http://localhost:${port}/parent.html`);
+    });
+}